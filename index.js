@@ -1,10 +1,13 @@
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const express = require('express');
 const sqlite3 = require('sqlite3').verbose();
 const TelegramBot = require('node-telegram-bot-api');
-const { Client, LocalAuth } = require('whatsapp-web.js');
+const { Client, LocalAuth, MessageMedia, Location } = require('whatsapp-web.js');
 const qrcode = require('qrcode-terminal');
+const QRCode = require('qrcode');
+const { WEBHOOK_MAX_ATTEMPTS, postWebhook, getWebhookOutcome } = require('./webhooks');
 
 // Telegram bot token - MUST be set via environment variable for security
 const token = process.env.TELEGRAM_BOT_TOKEN;
@@ -20,6 +23,26 @@ const ADMIN_CHAT_IDS = process.env.ADMIN_CHAT_IDS ? process.env.ADMIN_CHAT_IDS.s
 const app = express();
 const PORT = process.env.PORT || 3000;
 app.get("/", (req, res) => res.send("Bot is running ✅"));
+
+// Admin endpoints need "Authorization: Bearer <API_TOKEN>" and are disabled without API_TOKEN
+const API_TOKEN = process.env.API_TOKEN;
+function requireApiToken(req, res, next) {
+    if (!API_TOKEN) {
+        res.status(403).json({ error: 'API_TOKEN is not configured', code: 'disabled' });
+        return;
+    }
+    const header = req.get('authorization') || '';
+    if (!isValidApiToken(header.startsWith('Bearer ') ? header.slice(7) : '')) {
+        res.status(401).json({ error: 'Invalid or missing API token', code: 'unauthorized' });
+        return;
+    }
+    next();
+}
+function isValidApiToken(given) {
+    const givenBuffer = Buffer.from(given);
+    const expected = Buffer.from(API_TOKEN);
+    return givenBuffer.length === expected.length && crypto.timingSafeEqual(givenBuffer, expected);
+}
 app.listen(PORT, () => console.log(`🌍 Server running on port ${PORT}`));
 
 // WhatsApp client setup with enhanced session persistence
@@ -28,6 +51,15 @@ let isClientInitialized = false;
 let qrShown = false;
 let reconnectAttempts = 0;
 const MAX_RECONNECT_ATTEMPTS = 5;
+// Connection details for /healthz and /readyz
+let lastWhatsAppState = null;
+let lastWhatsAppStateAt = null;
+let lastDisconnectReason = null;
+let whatsAppInitFailed = false;
+let hasBeenReady = false;
+// Latest pairing QR code, cleared once WhatsApp is authenticated
+let currentQr = null;
+let currentQrAt = null;
 
 // Ensure sessions directory exists for persistent storage
 function ensureSessionsDirectory() {
@@ -103,12 +135,16 @@ async function initializeWhatsAppClient() {
     });
 
     client.on('qr', (qr) => {
+        // Every new code is kept for the /pair page and /qr, even when the terminal one is not reprinted
+        currentQr = qr;
+        currentQrAt = new Date();
         if (!qrShown) {
             console.log('WhatsApp QR Code generated. Scan with your phone:');
             console.log('📱 Make sure your phone has a stable internet connection');
             console.log('🔄 QR Code will refresh automatically if not scanned within 20 seconds');
             qrcode.generate(qr, { small: true });
             qrShown = true;
+            emitWebhookEvent('whatsapp.state', { state: 'QR_REQUIRED' });
             reconnectAttempts = 0; // Reset reconnect attempts on new QR
         }
     });
@@ -117,8 +153,16 @@ async function initializeWhatsAppClient() {
         console.log('✅ WhatsApp client is ready!');
         console.log('🔒 Session persistence is active - no QR code needed on restart');
         qrShown = false; // Reset for future sessions
+        currentQr = null;
         reconnectAttempts = 0; // Reset reconnect attempts on successful connection
         isClientInitialized = true;
+        whatsAppInitFailed = false;
+        if (hasBeenReady) incrementMetric('whatsapp_reconnects_total');
+        hasBeenReady = true;
+        emitWebhookEvent('whatsapp.state', { state: 'READY', number: client.info ? client.info.wid.user : null });
+        
+        // Send scheduled messages that were missed while WhatsApp was away
+        runScheduleCatchUp();
     });
 
     client.on('authenticated', async (session) => {
@@ -126,6 +170,7 @@ async function initializeWhatsAppClient() {
         console.log('💾 Saving session to file for future use...');
         
         qrShown = false;
+        currentQr = null;
         reconnectAttempts = 0; // Reset on successful auth
         
         // Save session to file for persistence
@@ -139,6 +184,7 @@ async function initializeWhatsAppClient() {
 
     client.on('auth_failure', async (msg) => {
         console.error('❌ WhatsApp authentication failed:', msg);
+        emitWebhookEvent('whatsapp.state', { state: 'AUTH_FAILURE', error: msg });
         qrShown = false;
         isClientInitialized = false;
         
@@ -147,6 +193,7 @@ async function initializeWhatsAppClient() {
         await clearSessionFromDB();
         
         // Retry initialization after a delay
+        reconnectAttempts++;
         setTimeout(() => {
             console.log('🔄 Retrying WhatsApp client initialization with fresh session...');
             initializeWhatsAppClient();
@@ -157,6 +204,9 @@ async function initializeWhatsAppClient() {
         console.log('❌ WhatsApp client disconnected:', reason);
         qrShown = false;
         isClientInitialized = false;
+        lastDisconnectReason = reason;
+        incrementMetric('whatsapp_disconnects_total');
+        emitWebhookEvent('whatsapp.state', { state: 'DISCONNECTED', reason });
         
         // Clear session on logout or session expiry
         if (reason === 'LOGOUT' || reason === 'NAVIGATION') {
@@ -166,6 +216,7 @@ async function initializeWhatsAppClient() {
         
         // Always attempt to reconnect
         console.log('🔄 Attempting automatic reconnection...');
+        reconnectAttempts++;
         
         // Destroy the current client instance
         try {
@@ -190,6 +241,9 @@ async function initializeWhatsAppClient() {
     
     client.on('change_state', (state) => {
         console.log('🔄 WhatsApp state changed:', state);
+        lastWhatsAppState = state;
+        lastWhatsAppStateAt = new Date();
+        emitWebhookEvent('whatsapp.state', { state });
     });
     
     // Add timeout handler for QR code
@@ -210,34 +264,105 @@ async function initializeWhatsAppClient() {
         // Skip if message is from status broadcast or if it's from us
         if (msg.isStatus || msg.fromMe) return;
         
+        // In group chats the sender is msg.author, not the group id in msg.from
+        const isGroupChat = msg.from.endsWith('@g.us');
+        const author = await resolveAuthorNumber(msg);
+        logMessage({
+            channel: 'whatsapp',
+            direction: 'in',
+            chatId: msg.from,
+            contact: author,
+            body: msg.body,
+            media: msg.type !== 'chat' ? msg.type : null,
+            source: 'inbound'
+        });
+        incrementMetric('messages_received_total', { channel: 'whatsapp' });
+        emitWebhookEvent('message.received', {
+            messageId: msg.id._serialized,
+            chatId: msg.from,
+            from: author,
+            isGroup: isGroupChat,
+            type: msg.type,
+            body: msg.body,
+            timestamp: msg.timestamp
+        });
+        recordContactMessage(author);
+        
+        // Relay selected contacts to Telegram, whether or not they get auto-replies
+        if (!isGroupChat && isRelayContact(author) && !isBlockedNumber(author)) {
+            await relayToTelegram(msg, author);
+        }
+        
         // Check if the sender is authorized
         if (!isAuthorizedNumber(msg.from)) {
             console.log(`🚫 Message from unauthorized number: ${msg.from} - "${msg.body}"`);
             return;
         }
         
-        const body = msg.body.toLowerCase();
-        console.log(`📥 WhatsApp message received: "${msg.body}" from authorized number ${msg.from}`);
+        // The blocklist also applies to people writing in authorized group chats
+        if (isGroupChat && isBlockedNumber(author)) {
+            console.log(`🚫 Message from blocked number +${author} in group ${msg.from}`);
+            return;
+        }
+        
+        if (isGroupChat) {
+            console.log(`📥 WhatsApp group message received: "${msg.body}" from +${author} in ${msg.from}`);
+            if (authorizedChats[msg.from].mode === 'mention' && !(await isAddressedToUs(msg))) {
+                console.log(`🔕 Group ${msg.from} is mention-only and the message is not addressed to us`);
+                return;
+            }
+        } else {
+            console.log(`📥 WhatsApp message received: "${msg.body}" from authorized number ${msg.from}`);
+            // Away messages go to direct chats only
+            await sendAwayMessageIfNeeded(msg);
+        }
+        
+        // Cooldowns are per person; in groups per person within that group
+        const contactKey = isGroupChat ? `${msg.from}/${author}` : msg.from;
         
         // Load rules from database and check for matches
-        loadRulesFromDB((rules) => {
-            for (const trigger in rules) {
-                if (body.includes(trigger.toLowerCase())) {
-                    console.log(`⏳ Waiting 5 seconds before replying to appear more human...`);
-                    
-                    // Add 5-second delay to make replies appear more natural
-                    setTimeout(async () => {
-                        try {
-                            await client.sendMessage(msg.from, rules[trigger]);
-                            console.log(`📤 WhatsApp auto-replied with rule "${trigger}" → "${rules[trigger]}" (after 5s delay)`);
-                        } catch (err) {
-                            console.error('⚠️ Error sending delayed WhatsApp reply:', err);
-                        }
-                    }, 5000); // 5 seconds = 5000 milliseconds
-                    
-                    break; // Reply only to the first matching rule
-                }
+        loadRulesFromDB(async (rules) => {
+            const matched = findMatchingRule(rules, msg.body, { channel: 'whatsapp', contact: author });
+            if (!matched) return;
+            const { rule, match } = matched;
+            
+            const check = await reserveReply(contactKey, rule);
+            if (!check.allowed) {
+                console.log(`🧊 Not replying to ${contactKey}: ${check.reason}`);
+                return;
             }
+            recordRuleHit(rule.trigger, author);
+            
+            console.log(`⏳ Waiting 5 seconds before replying to appear more human...`);
+            
+            // Add 5-second delay to make replies appear more natural
+            setTimeout(async () => {
+                try {
+                    const name = await getWhatsAppContactName(msg.author || msg.from);
+                    const replyText = renderTemplate(pickReply(rule, contactKey), {
+                        name,
+                        trigger: rule.trigger,
+                        match,
+                        timezone: getContactTimezone(author)
+                    });
+                    const id = await enqueueOutboxMessage({
+                        chatId: msg.from,
+                        text: replyText,
+                        // Quote the message in groups so it is clear who is being answered
+                        quotedMessageId: isGroupChat ? msg.id._serialized : null,
+                        attachment: rule.attachment,
+                        source: 'auto-reply',
+                        sourceId: rule.trigger,
+                        replyLogId: check.replyLogId
+                    });
+                    if (!id) throw new Error('Could not add the reply to the outbox');
+                    console.log(`📤 WhatsApp auto-reply queued with rule "${rule.trigger}" [${rule.matchType}] → "${replyText}" (after 5s delay)`);
+                } catch (err) {
+                    console.error('⚠️ Error queueing delayed WhatsApp reply:', err);
+                    recordRuleFailure(rule.trigger, author);
+                    releaseReply(check.replyLogId);
+                }
+            }, 5000); // 5 seconds = 5000 milliseconds
         });
     });
     
@@ -261,6 +386,7 @@ async function initializeWhatsAppClient() {
                 console.log(`🔄 Retrying initialization (${retryCount + 1}/5) in ${delay/1000} seconds...`);
                 setTimeout(() => initializeWithRetry(retryCount + 1), delay);
             } else {
+                whatsAppInitFailed = true;
                 console.error('💥 Max retry attempts reached. Check server environment and dependencies.');
                 console.error('💡 Consider checking Render logs for Puppeteer/Chrome dependency issues.');
             }
@@ -375,11 +501,189 @@ function initializeDatabase() {
     });
 }
 
+// Schema changes applied on top of the base tables, in order.
+// "duplicate column name" errors are ignored so existing databases upgrade in place.
+const SCHEMA_MIGRATIONS = [
+    `ALTER TABLE rules ADD COLUMN match_type TEXT NOT NULL DEFAULT 'contains'`,
+    `ALTER TABLE rules ADD COLUMN priority INTEGER NOT NULL DEFAULT 0`,
+    `CREATE TABLE IF NOT EXISTS rule_replies (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        trigger TEXT NOT NULL,
+        reply TEXT NOT NULL,
+        weight INTEGER NOT NULL DEFAULT 1,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+    `CREATE TABLE IF NOT EXISTS settings (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+    `ALTER TABLE rules ADD COLUMN cooldown_seconds INTEGER`,
+    `CREATE TABLE IF NOT EXISTS reply_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        contact TEXT NOT NULL,
+        trigger TEXT NOT NULL,
+        sent_at INTEGER NOT NULL
+    )`,
+    `CREATE INDEX IF NOT EXISTS idx_reply_log_contact ON reply_log (contact, sent_at)`,
+    // Telegram chats used to be logged as "telegram:<chat id>"; they share the tg: key now
+    `UPDATE reply_log SET contact = 'tg:' || substr(contact, 10) WHERE contact LIKE 'telegram:%'`,
+    `ALTER TABLE rules ADD COLUMN active_days TEXT`,
+    `ALTER TABLE rules ADD COLUMN active_from TEXT`,
+    `ALTER TABLE rules ADD COLUMN active_to TEXT`,
+    `ALTER TABLE rules ADD COLUMN away_only INTEGER NOT NULL DEFAULT 0`,
+    `CREATE TABLE IF NOT EXISTS away_notified (
+        contact TEXT PRIMARY KEY,
+        notified_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+    `ALTER TABLE rules ADD COLUMN channels TEXT`,
+    `ALTER TABLE rules ADD COLUMN contacts TEXT`,
+    `CREATE TABLE IF NOT EXISTS contact_groups (
+        name TEXT PRIMARY KEY,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+    `CREATE TABLE IF NOT EXISTS contact_group_members (
+        group_name TEXT NOT NULL,
+        number TEXT NOT NULL,
+        added_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (group_name, number)
+    )`,
+    `CREATE TABLE IF NOT EXISTS authorized_chats (
+        chat_id TEXT PRIMARY KEY,
+        name TEXT,
+        mode TEXT NOT NULL DEFAULT 'mention',
+        added_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+    `CREATE TABLE IF NOT EXISTS blocked_numbers (
+        number TEXT PRIMARY KEY,
+        added_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+    `ALTER TABLE schedules ADD COLUMN recurrence TEXT NOT NULL DEFAULT 'daily'`,
+    `ALTER TABLE schedules ADD COLUMN cron_expression TEXT`,
+    `ALTER TABLE schedules ADD COLUMN run_once_at TEXT`,
+    `ALTER TABLE schedules ADD COLUMN timezone TEXT`,
+    `ALTER TABLE schedules ADD COLUMN paused INTEGER NOT NULL DEFAULT 0`,
+    `CREATE TABLE IF NOT EXISTS schedule_runs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        schedule_id TEXT NOT NULL,
+        number TEXT NOT NULL,
+        message TEXT NOT NULL,
+        status TEXT NOT NULL,
+        error TEXT,
+        catch_up INTEGER NOT NULL DEFAULT 0,
+        resolved INTEGER NOT NULL DEFAULT 0,
+        run_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+    `CREATE INDEX IF NOT EXISTS idx_schedule_runs_status ON schedule_runs (status, resolved, run_at)`,
+    `CREATE TABLE IF NOT EXISTS outbox (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        chat_id TEXT NOT NULL,
+        text TEXT NOT NULL,
+        render INTEGER NOT NULL DEFAULT 0,
+        quoted_message_id TEXT,
+        source TEXT NOT NULL,
+        source_id TEXT,
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at INTEGER NOT NULL DEFAULT 0,
+        last_error TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        sent_at DATETIME
+    )`,
+    `CREATE INDEX IF NOT EXISTS idx_outbox_status ON outbox (status, next_attempt_at)`,
+    `ALTER TABLE outbox ADD COLUMN attachment TEXT`,
+    `ALTER TABLE outbox ADD COLUMN media_sent INTEGER DEFAULT 0`,
+    `ALTER TABLE outbox ADD COLUMN reply_log_id INTEGER`,
+    `ALTER TABLE rules ADD COLUMN attachment TEXT`,
+    `ALTER TABLE schedules ADD COLUMN attachment TEXT`,
+    `CREATE TABLE IF NOT EXISTS relay_contacts (
+        contact TEXT PRIMARY KEY,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+    `CREATE TABLE IF NOT EXISTS relay_messages (
+        telegram_chat_id INTEGER NOT NULL,
+        telegram_message_id INTEGER NOT NULL,
+        wa_chat_id TEXT NOT NULL,
+        wa_message_id TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (telegram_chat_id, telegram_message_id)
+    )`,
+    `CREATE TABLE IF NOT EXISTS messages (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        channel TEXT NOT NULL,
+        direction TEXT NOT NULL,
+        chat_id TEXT NOT NULL,
+        contact TEXT NOT NULL,
+        body TEXT,
+        media TEXT,
+        source TEXT NOT NULL,
+        rule_trigger TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+    `CREATE INDEX IF NOT EXISTS idx_messages_contact ON messages (contact, created_at)`,
+    `CREATE INDEX IF NOT EXISTS idx_messages_created ON messages (created_at)`,
+    `CREATE TABLE IF NOT EXISTS rule_stats (
+        trigger TEXT PRIMARY KEY,
+        hits INTEGER NOT NULL DEFAULT 0,
+        failures INTEGER NOT NULL DEFAULT 0,
+        last_fired_at DATETIME
+    )`,
+    `CREATE TABLE IF NOT EXISTS contact_stats (
+        contact TEXT PRIMARY KEY,
+        messages INTEGER NOT NULL DEFAULT 0,
+        replies INTEGER NOT NULL DEFAULT 0,
+        failures INTEGER NOT NULL DEFAULT 0,
+        last_message_at DATETIME
+    )`,
+    `CREATE TABLE IF NOT EXISTS contact_timezones (
+        number TEXT PRIMARY KEY,
+        timezone TEXT NOT NULL,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+    `CREATE TABLE IF NOT EXISTS webhooks (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        url TEXT NOT NULL,
+        secret TEXT NOT NULL,
+        events TEXT NOT NULL DEFAULT '*',
+        active INTEGER NOT NULL DEFAULT 1,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+    `CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        webhook_id INTEGER NOT NULL,
+        event TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at INTEGER NOT NULL,
+        response_status INTEGER,
+        last_error TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        delivered_at INTEGER
+    )`,
+    `CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries (status, next_attempt_at)`
+];
+
+function runSchemaMigrations() {
+    return SCHEMA_MIGRATIONS.reduce((previous, sql) => previous.then(() => new Promise((resolve, reject) => {
+        db.run(sql, (err) => {
+            if (err && !/duplicate column name/i.test(err.message)) {
+                console.error('❌ Error applying schema migration:', sql, err);
+                reject(err);
+                return;
+            }
+            resolve();
+        });
+    })), Promise.resolve()).then(() => {
+        console.log(`✅ Schema migrations applied (${SCHEMA_MIGRATIONS.length} checked)`);
+    });
+}
+
 // Global flag to track database readiness
 let isDatabaseReady = false;
 
 // Initialize database at startup with proper error handling
-initializeDatabase().then(() => {
+initializeDatabase().then(runSchemaMigrations).then(() => {
     isDatabaseReady = true;
     console.log('🎯 Database is ready for operations');
     
@@ -390,6 +694,128 @@ initializeDatabase().then(() => {
     process.exit(1);
 });
 
+// --- BOT SETTINGS ---
+// Key/value settings tuned from Telegram and kept in the settings table
+let settings = {};
+
+function loadSettingsFromDb() {
+    return new Promise((resolve) => {
+        db.all('SELECT key, value FROM settings', (err, rows) => {
+            if (err) {
+                console.error('⚠️ Error loading settings from database:', err);
+                resolve({});
+                return;
+            }
+            const loaded = {};
+            rows.forEach(row => {
+                loaded[row.key] = row.value;
+            });
+            console.log(`✅ Settings loaded from database: ${rows.length} found`);
+            resolve(loaded);
+        });
+    });
+}
+
+function saveSettingToDb(key, value) {
+    return new Promise((resolve) => {
+        db.run('INSERT OR REPLACE INTO settings (key, value, updated_at) VALUES (?, ?, CURRENT_TIMESTAMP)', [key, String(value)], function(err) {
+            if (err) {
+                console.error('⚠️ Error saving setting:', err);
+                resolve(false);
+                return;
+            }
+            settings[key] = String(value);
+            console.log(`💾 Setting saved to database: ${key} = ${value}`);
+            resolve(true);
+        });
+    });
+}
+
+// Read a numeric setting, falling back to the default when unset or invalid
+function getNumberSetting(key, defaultValue) {
+    const value = parseInt(settings[key]);
+    return isNaN(value) ? defaultValue : value;
+}
+
+// --- TIME ZONES ---
+// The bot's default zone (/timezone, else BOT_TIMEZONE, else the server's zone) is used for
+// business hours and schedules; contacts and schedules can override it with IANA names.
+const SYSTEM_TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+let contactTimezones = {};
+
+function getDefaultTimezone() {
+    return settings.timezone || process.env.BOT_TIMEZONE || SYSTEM_TIMEZONE;
+}
+
+function isValidTimezone(timezone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (err) {
+        return false;
+    }
+}
+
+function getContactTimezone(number) {
+    return contactTimezones[number] || getDefaultTimezone();
+}
+
+// Wall-clock time in a zone, as a Date whose UTC fields hold that zone's local time
+function toZonedTime(date, timezone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }).formatToParts(date).forEach(({ type, value }) => {
+        parts[type] = Number(value);
+    });
+    return new Date(Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second));
+}
+
+// Inverse of toZonedTime: the instant at which a zone's clock shows the given wall-clock time
+function fromZonedTime(wallClock, timezone) {
+    const offset = toZonedTime(wallClock, timezone).getTime() - wallClock.getTime();
+    return new Date(wallClock.getTime() - offset);
+}
+
+function loadContactTimezonesFromDb() {
+    return new Promise((resolve) => {
+        db.all('SELECT number, timezone FROM contact_timezones', (err, rows) => {
+            if (err) {
+                console.error('⚠️ Error loading contact time zones from database:', err);
+                resolve({});
+                return;
+            }
+            const zones = {};
+            rows.forEach(row => {
+                zones[row.number] = row.timezone;
+            });
+            console.log(`✅ Contact time zones loaded from database: ${rows.length} found`);
+            resolve(zones);
+        });
+    });
+}
+
+// Save a contact's time zone, or remove it when timezone is null
+function saveContactTimezoneToDb(number, timezone) {
+    const sql = timezone
+        ? 'INSERT OR REPLACE INTO contact_timezones (number, timezone, updated_at) VALUES (?, ?, CURRENT_TIMESTAMP)'
+        : 'DELETE FROM contact_timezones WHERE number = ?';
+    return new Promise((resolve) => {
+        db.run(sql, timezone ? [number, timezone] : [number], function(err) {
+            if (err) {
+                console.error('⚠️ Error saving contact time zone:', err);
+                resolve(false);
+                return;
+            }
+            console.log(`💾 Time zone for +${number}: ${timezone || 'default'}`);
+            resolve(true);
+        });
+    });
+}
+
 // --- AUTHORIZED NUMBERS WITH DATABASE PERSISTENCE ---
 const AUTHORIZED_NUMBERS_FILE = path.join(__dirname, 'authorized_numbers.json');
 let authorizedNumbers = [];
@@ -544,6 +970,239 @@ function clearSessionFromDB() {
     return Promise.resolve(clearSessionFile());
 }
 
+// --- RULE MATCHING ---
+// Supported trigger match types (stored in rules.match_type)
+const MATCH_TYPES = {
+    contains: 'message contains the trigger anywhere',
+    word: 'trigger appears as a whole word',
+    exact: 'message is exactly the trigger',
+    startswith: 'message starts with the trigger',
+    regex: 'trigger is a regular expression'
+};
+const DEFAULT_MATCH_TYPE = 'contains';
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Build the RegExp used to match a rule (all types are case-insensitive)
+function buildRuleRegExp(trigger, matchType) {
+    switch (matchType) {
+        case 'regex':
+            return new RegExp(trigger, 'iu');
+        case 'word':
+            return new RegExp(`(?<![\\p{L}\\p{N}_])${escapeRegExp(trigger)}(?![\\p{L}\\p{N}_])`, 'iu');
+        case 'exact':
+            return new RegExp(`^${escapeRegExp(trigger)}$`, 'iu');
+        case 'startswith':
+            return new RegExp(`^${escapeRegExp(trigger)}`, 'iu');
+        default:
+            return new RegExp(escapeRegExp(trigger), 'iu');
+    }
+}
+
+// Validate a trigger before it is saved. Returns an error message or null.
+function validateRuleTrigger(trigger, matchType) {
+    if (!MATCH_TYPES[matchType]) {
+        return `Unknown match type "${matchType}". Use one of: ${Object.keys(MATCH_TYPES).join(', ')}`;
+    }
+    if (matchType === 'regex') {
+        try {
+            new RegExp(trigger, 'iu');
+        } catch (err) {
+            return err.message;
+        }
+    }
+    return null;
+}
+
+// Returns the match array if the rule fires for the given text, otherwise null
+function matchRule(rule, text) {
+    try {
+        return buildRuleRegExp(rule.trigger, rule.matchType).exec(text.trim());
+    } catch (err) {
+        console.error(`⚠️ Skipping rule "${rule.trigger}" with invalid pattern:`, err.message);
+        return null;
+    }
+}
+
+// Evaluation order: highest priority first, then longest trigger, then alphabetical
+function sortRules(rules) {
+    return Object.values(rules).sort((a, b) =>
+        (b.priority - a.priority) ||
+        (b.trigger.length - a.trigger.length) ||
+        a.trigger.localeCompare(b.trigger)
+    );
+}
+
+// --- RULE SCOPE ---
+// A rule can be limited to channels (whatsapp, telegram) and to specific contacts.
+// Contacts are WhatsApp numbers, "group:<name>" contact groups, or "tg:<chat id>" for Telegram chats.
+const CHANNELS = ['whatsapp', 'telegram'];
+
+// Contact key of a Telegram chat in scopes, cooldowns, history and statistics
+function telegramContact(chatId) {
+    return `tg:${chatId}`;
+}
+
+// scope: { channel, contact }
+function isRuleInScope(rule, scope) {
+    if (!scope) return true;
+    if (rule.channels && !rule.channels.includes(scope.channel)) return false;
+    if (rule.contacts && !rule.contacts.some(entry => entry === scope.contact || resolveRecipients(entry).includes(scope.contact))) return false;
+    return true;
+}
+
+function describeRuleScope(rule) {
+    const parts = [rule.channels ? rule.channels.join('+') : 'all'];
+    if (rule.contacts) {
+        parts.push(rule.contacts.map(contact => contact.startsWith('tg:') ? contact : formatRecipient(contact)).join(', '));
+    }
+    return parts.join(': ');
+}
+
+// Find the first rule that matches the text, in evaluation order.
+// scope ({ channel, contact }) skips rules meant for other channels or contacts.
+function findMatchingRule(rules, text, scope) {
+    for (const rule of sortRules(rules)) {
+        if (!isRuleInScope(rule, scope) || !isRuleActive(rule)) continue;
+        const match = matchRule(rule, text);
+        if (match) {
+            return { rule, match };
+        }
+    }
+    return null;
+}
+
+// Non-regex triggers are stored lowercase; regex triggers keep their case (\D vs \d)
+function normalizeTrigger(trigger, matchType) {
+    return matchType === 'regex' ? trigger : trigger.toLowerCase();
+}
+
+function ruleFromRow(row) {
+    return {
+        trigger: row.trigger,
+        reply: row.reply,
+        matchType: row.match_type || DEFAULT_MATCH_TYPE,
+        priority: row.priority || 0,
+        cooldownSeconds: row.cooldown_seconds === null || row.cooldown_seconds === undefined ? null : row.cooldown_seconds,
+        activeDays: row.active_days ? row.active_days.split(',').map(Number) : null,
+        activeFrom: row.active_from || null,
+        activeTo: row.active_to || null,
+        awayOnly: !!row.away_only,
+        channels: row.channels ? row.channels.split(',') : null,
+        contacts: row.contacts ? row.contacts.split(',') : null,
+        attachment: parseAttachment(row.attachment),
+        variants: [] // Extra replies from rule_replies, see loadRulesFromDB
+    };
+}
+
+// --- REPLY VARIANTS ---
+// The reply stored on the rule itself is variant #1 (weight 1); /addreply adds more.
+const lastReplyByChat = {};
+
+// All reply options for a rule as { id, reply, weight }
+function getRuleReplies(rule) {
+    return [{ id: null, reply: rule.reply, weight: 1 }, ...(rule.variants || [])];
+}
+
+// Pick a weighted random reply, avoiding the last reply sent to this chat when possible
+function pickReply(rule, chatKey) {
+    let options = getRuleReplies(rule);
+    if (options.length > 1) {
+        const fresh = options.filter(option => option.reply !== lastReplyByChat[chatKey]);
+        if (fresh.length > 0) options = fresh;
+    }
+    
+    const totalWeight = options.reduce((sum, option) => sum + option.weight, 0);
+    let roll = Math.random() * totalWeight;
+    let chosen = options[options.length - 1];
+    for (const option of options) {
+        roll -= option.weight;
+        if (roll < 0) {
+            chosen = option;
+            break;
+        }
+    }
+    
+    lastReplyByChat[chatKey] = chosen.reply;
+    return chosen.reply;
+}
+
+// --- REPLY TEMPLATES ---
+// Placeholders rendered in rule replies, /send and scheduled messages.
+// {1}, {2}, ... are regex capture groups and are only valid in rule replies.
+const TEMPLATE_PLACEHOLDERS = {
+    name: 'sender / recipient name',
+    time: 'current time (HH:MM)',
+    date: 'current date',
+    trigger: 'the rule trigger that matched (rule replies only)'
+};
+const PLACEHOLDER_PATTERN = /\{(\w+)\}/g;
+
+// Number of capture groups in a rule's pattern (only regex rules have them)
+function countCaptureGroups(rule) {
+    if (rule.matchType !== 'regex') return 0;
+    try {
+        return new RegExp(`${rule.trigger}|`, 'iu').exec('').length - 1;
+    } catch (err) {
+        return 0;
+    }
+}
+
+// Validate placeholders in a template. Pass the rule for rule replies, or null for
+// /send and scheduled messages. Returns an error message or null.
+function validateTemplate(template, rule) {
+    const groupCount = rule ? countCaptureGroups(rule) : 0;
+    for (const [placeholder, key] of template.matchAll(PLACEHOLDER_PATTERN)) {
+        if (/^\d+$/.test(key)) {
+            if (!rule || parseInt(key) > groupCount) {
+                return `Placeholder ${placeholder} has no matching capture group` +
+                    (rule ? ` (the trigger has ${groupCount})` : ' (capture groups only work in regex rule replies)');
+            }
+        } else if (!TEMPLATE_PLACEHOLDERS[key] || (key === 'trigger' && !rule)) {
+            const available = Object.keys(TEMPLATE_PLACEHOLDERS).filter(k => rule || k !== 'trigger');
+            return `Unknown placeholder ${placeholder}. Available: ${available.map(k => `{${k}}`).join(', ')}` +
+                (rule ? ', {1}, {2}, ... for regex groups' : '');
+        }
+    }
+    return null;
+}
+
+// Render a template. context: { name, trigger, match, timezone }
+function renderTemplate(template, context = {}) {
+    const now = new Date();
+    const timeZone = context.timezone || getDefaultTimezone();
+    return template.replace(PLACEHOLDER_PATTERN, (placeholder, key) => {
+        if (/^\d+$/.test(key)) {
+            return context.match && context.match[key] !== undefined ? context.match[key] : '';
+        }
+        switch (key) {
+            case 'name':
+                return context.name || '';
+            case 'time':
+                return now.toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit', timeZone });
+            case 'date':
+                return now.toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric', timeZone });
+            case 'trigger':
+                return context.trigger || '';
+            default:
+                return placeholder;
+        }
+    });
+}
+
+// Best-effort display name of a WhatsApp contact ('' if unknown)
+async function getWhatsAppContactName(contactId) {
+    try {
+        const contact = await client.getContactById(contactId);
+        return contact.pushname || contact.name || '';
+    } catch (err) {
+        console.log('⚠️ Could not resolve WhatsApp contact name:', err.message);
+        return '';
+    }
+}
+
 // Database helper functions
 function loadRulesFromDB(callback) {
     if (!isDatabaseReady) {
@@ -560,23 +1219,44 @@ function loadRulesFromDB(callback) {
         }
         const rules = {};
         rows.forEach(row => {
-            rules[row.trigger] = row.reply;
+            rules[row.trigger] = ruleFromRow(row);
+        });
+        
+        db.all("SELECT * FROM rule_replies ORDER BY id", (err, replyRows) => {
+            if (err) {
+                console.error("⚠️ Error loading reply variants from database:", err);
+            } else {
+                replyRows.forEach(row => {
+                    if (rules[row.trigger]) {
+                        rules[row.trigger].variants.push({ id: row.id, reply: row.reply, weight: row.weight });
+                    }
+                });
+            }
+            console.log("✅ Rules loaded from database:", rows.length, "rules found");
+            callback(rules);
         });
-        console.log("✅ Rules loaded from database:", rows.length, "rules found");
-        callback(rules);
     });
 }
 
-function saveRuleToDB(trigger, reply, callback) {
-    db.run("INSERT OR REPLACE INTO rules (trigger, reply) VALUES (?, ?)", [trigger, reply], function(err) {
+function saveRuleToDB(rule, callback) {
+    db.run(`INSERT OR REPLACE INTO rules (trigger, reply, match_type, priority, cooldown_seconds, active_days, active_from, active_to, away_only, channels, contacts, attachment)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [rule.trigger, rule.reply, rule.matchType, rule.priority || 0,
+            rule.cooldownSeconds === undefined ? null : rule.cooldownSeconds,
+            rule.activeDays ? rule.activeDays.join(',') : null,
+            rule.activeFrom || null, rule.activeTo || null, rule.awayOnly ? 1 : 0,
+            rule.channels ? rule.channels.join(',') : null,
+            rule.contacts ? rule.contacts.join(',') : null,
+            rule.attachment ? JSON.stringify(rule.attachment) : null], function(err) {
         if (err) {
             console.error("⚠️ Error saving rule to database:", err);
             callback(false);
             return;
         }
-        console.log("💾 Rule saved to database:", trigger, "→", reply);
-        // Update global rules object
-        rules[trigger] = reply;
+        console.log("💾 Rule saved to database:", rule.trigger, `[${rule.matchType}]`, "→", rule.reply);
+        // Update global rules object, keeping variants already attached to the trigger
+        const existing = rules[rule.trigger];
+        rules[rule.trigger] = { ...rule, variants: existing ? existing.variants : (rule.variants || []) };
         callback(true);
     });
 }
@@ -588,21 +1268,85 @@ function deleteRuleFromDB(trigger, callback) {
             callback(false);
             return;
         }
-        console.log("🗑️ Rule deleted from database:", trigger);
-        // Update global rules object
-        delete rules[trigger];
+        const deleted = this.changes > 0;
+        db.run("DELETE FROM rule_replies WHERE trigger = ?", [trigger], (err) => {
+            if (err) {
+                console.error("⚠️ Error deleting reply variants from database:", err);
+            }
+            console.log("🗑️ Rule deleted from database:", trigger);
+            // Update global rules object
+            delete rules[trigger];
+            callback(deleted);
+        });
+    });
+}
+
+function addRuleReplyToDB(trigger, reply, weight, callback) {
+    db.run("INSERT INTO rule_replies (trigger, reply, weight) VALUES (?, ?, ?)", [trigger, reply, weight], function(err) {
+        if (err) {
+            console.error("⚠️ Error saving reply variant to database:", err);
+            callback(false);
+            return;
+        }
+        console.log("💾 Reply variant saved to database:", trigger, "→", reply, `(weight ${weight})`);
+        if (rules[trigger]) {
+            rules[trigger].variants.push({ id: this.lastID, reply, weight });
+        }
+        callback(true);
+    });
+}
+
+function removeRuleReplyFromDB(trigger, id, callback) {
+    db.run("DELETE FROM rule_replies WHERE id = ? AND trigger = ?", [id, trigger], function(err) {
+        if (err) {
+            console.error("⚠️ Error removing reply variant from database:", err);
+            callback(false);
+            return;
+        }
+        console.log("🗑️ Reply variant removed from database:", trigger, id);
+        if (rules[trigger]) {
+            rules[trigger].variants = rules[trigger].variants.filter(variant => variant.id !== id);
+        }
         callback(this.changes > 0);
     });
 }
 
+// Persist new priorities for several rules at once ({ trigger: priority })
+function updateRulePrioritiesInDB(priorities, callback) {
+    const entries = Object.entries(priorities);
+    let pending = entries.length;
+    let failed = false;
+    if (pending === 0) {
+        callback(true);
+        return;
+    }
+    db.serialize(() => {
+        entries.forEach(([trigger, priority]) => {
+            db.run("UPDATE rules SET priority = ?, updated_at = CURRENT_TIMESTAMP WHERE trigger = ?", [priority, trigger], (err) => {
+                if (err) {
+                    console.error("⚠️ Error updating rule priority:", trigger, err);
+                    failed = true;
+                } else if (rules[trigger]) {
+                    rules[trigger].priority = priority;
+                }
+                pending--;
+                if (pending === 0) {
+                    console.log(`💾 Rule priorities updated for ${entries.length} rules`);
+                    callback(!failed);
+                }
+            });
+        });
+    });
+}
+
 function getRuleFromDB(trigger, callback) {
-    db.get("SELECT reply FROM rules WHERE trigger = ?", [trigger], (err, row) => {
+    db.get("SELECT * FROM rules WHERE trigger = ?", [trigger], (err, row) => {
         if (err) {
             console.error("⚠️ Error getting rule from database:", err);
             callback(null);
             return;
         }
-        callback(row ? row.reply : null);
+        callback(row ? ruleFromRow(row) : null);
     });
 }
 
@@ -619,11 +1363,96 @@ function saveAuthorizedNumbers() {
     console.log("💾 Authorized numbers are automatically saved to database");
 }
 
+// Normalize a number typed in a command: +91 is the default country code
+function normalizeNumber(number) {
+    if (number.startsWith('+')) return number.substring(1);
+    number = number.startsWith('0') ? number.substring(1) : number;
+    return `91${number}`;
+}
+
+// Like normalizeNumber, but a trailing * makes a prefix wildcard that is kept as typed
+// (including its country code), e.g. "91*" for every Indian number
+function normalizeNumberPattern(number) {
+    return number.endsWith('*') ? number.replace(/^\+/, '') : normalizeNumber(number);
+}
+
+// Whether a number matches an entry that is either a full number or a "prefix*" wildcard
+function matchesNumberPattern(pattern, number) {
+    return pattern.endsWith('*') ? number.startsWith(pattern.slice(0, -1)) : pattern === number;
+}
+
+// --- BLOCKLIST ---
+// Blocked numbers (and "prefix*" wildcards) override every allow rule: authorized
+// numbers, wildcards, contact groups, group chats and "everyone" reply mode.
+let blockedNumbers = [];
+
+function loadBlockedNumbersFromDb() {
+    return new Promise((resolve) => {
+        db.all('SELECT number FROM blocked_numbers', (err, rows) => {
+            if (err) {
+                console.error('⚠️ Error loading blocked numbers from database:', err);
+                resolve([]);
+                return;
+            }
+            const numbers = rows.map(row => row.number);
+            console.log(`✅ Blocked numbers loaded from database: ${numbers.length} numbers found`);
+            resolve(numbers);
+        });
+    });
+}
+
+function saveBlockedNumberToDb(number) {
+    return new Promise((resolve) => {
+        db.run('INSERT OR IGNORE INTO blocked_numbers (number) VALUES (?)', [number], function(err) {
+            if (err) {
+                console.error('⚠️ Error saving blocked number:', err);
+                resolve(false);
+                return;
+            }
+            console.log(`💾 Blocked number saved to database: +${number}`);
+            resolve(true);
+        });
+    });
+}
+
+function removeBlockedNumberFromDb(number) {
+    return new Promise((resolve) => {
+        db.run('DELETE FROM blocked_numbers WHERE number = ?', [number], function(err) {
+            if (err) {
+                console.error('⚠️ Error removing blocked number:', err);
+                resolve(false);
+                return;
+            }
+            console.log(`🗑️ Blocked number removed from database: +${number}`);
+            resolve(this.changes > 0);
+        });
+    });
+}
+
+function isBlockedNumber(number) {
+    return blockedNumbers.some(pattern => matchesNumberPattern(pattern, number));
+}
+
+// "allowlist" (default) replies to authorized numbers only; "everyone" to anyone not blocked
+function getReplyMode() {
+    return settings.reply_mode === 'everyone' ? 'everyone' : 'allowlist';
+}
+
 // Function to check if a number is authorized
 function isAuthorizedNumber(phoneNumber) {
+    // Group chats are authorized by their own id, see /addgroupchat
+    if (phoneNumber.endsWith('@g.us')) {
+        return !!authorizedChats[phoneNumber];
+    }
     // Extract number from WhatsApp format (e.g., "919876543210@c.us" -> "919876543210")
-    const cleanNumber = phoneNumber.replace('@c.us', '').replace('@g.us', '');
-    return authorizedNumbers.includes(cleanNumber);
+    const cleanNumber = phoneNumber.replace('@c.us', '');
+    if (isBlockedNumber(cleanNumber)) {
+        return false;
+    }
+    if (getReplyMode() === 'everyone') {
+        return true;
+    }
+    return authorizedNumbers.some(pattern => matchesNumberPattern(pattern, cleanNumber));
 }
 
 // Function to check if user is admin
@@ -631,6 +1460,15 @@ function isAdmin(chatId) {
     return ADMIN_CHAT_IDS.length === 0 || ADMIN_CHAT_IDS.includes(chatId);
 }
 
+// Send a message to every admin chat
+function notifyAdmins(text) {
+    ADMIN_CHAT_IDS.forEach(chatId => {
+        bot.sendMessage(chatId, text).catch(err => {
+            console.error(`⚠️ Could not notify admin ${chatId}:`, err.message);
+        });
+    });
+}
+
 // Initialize global rules object
 let rules = {};
 
@@ -638,6 +1476,16 @@ let rules = {};
 function initializeDataAfterDb() {
     console.log('🔄 Starting data initialization...');
     
+    // Load settings (cooldowns etc.) - defaults apply until this resolves
+    loadSettingsFromDb().then(loadedSettings => {
+        settings = loadedSettings;
+        initAwaySchedule();
+        startOutbox();
+        initHistoryRetention();
+        startWebhooks();
+        console.log('✅ Settings initialized');
+    });
+    
     // Load rules first
     loadRulesFromDB((loadedRules) => {
         rules = loadedRules;
@@ -648,532 +1496,4743 @@ function initializeDataAfterDb() {
     setTimeout(async () => {
         migrateAuthorizedNumbersToDb();
         authorizedNumbers = await loadAuthorizedNumbersFromDb();
+        contactGroups = await loadContactGroupsFromDb();
+        authorizedChats = await loadAuthorizedChatsFromDb();
+        blockedNumbers = await loadBlockedNumbersFromDb();
+        contactTimezones = await loadContactTimezonesFromDb();
+        relayContacts = await loadRelayContactsFromDb();
         console.log('✅ Authorized numbers initialized');
     }, 500);
     
     // Migrate and load schedules
     setTimeout(async () => {
-        migrateSchedulesToDb();
+        await migrateSchedulesToDb();
         schedules = await loadSchedulesFromDb();
+        await migrateLegacyScheduleIds();
+        await expireMissedOneOffSchedules();
         initSchedules();
         console.log('✅ Schedules initialized');
     }, 1000);
 }
 
+// --- REPLY COOLDOWNS & RATE LIMITS ---
+// Every auto-reply is logged in reply_log so limits survive restarts.
+// A contact gets the same rule at most once per cooldown, and at most
+// N auto-replies per window overall (stops bot-to-bot reply loops).
+const DEFAULT_RULE_COOLDOWN_SECONDS = 300;
+const DEFAULT_CONTACT_RATE_LIMIT = 5;
+const DEFAULT_CONTACT_RATE_WINDOW_SECONDS = 600;
+
+function getCooldownSettings() {
+    return {
+        ruleCooldown: getNumberSetting('rule_cooldown_seconds', DEFAULT_RULE_COOLDOWN_SECONDS),
+        rateLimit: getNumberSetting('contact_rate_limit', DEFAULT_CONTACT_RATE_LIMIT),
+        rateWindow: getNumberSetting('contact_rate_window_seconds', DEFAULT_CONTACT_RATE_WINDOW_SECONDS)
+    };
+}
+
+function getRuleCooldown(rule) {
+    return rule.cooldownSeconds !== null && rule.cooldownSeconds !== undefined
+        ? rule.cooldownSeconds
+        : getCooldownSettings().ruleCooldown;
+}
+
+// Check whether a contact may receive an auto-reply for a rule.
+// Resolves { allowed: true } or { allowed: false, reason }
+function checkReplyAllowed(contact, rule) {
+    const now = Date.now();
+    const { rateLimit, rateWindow } = getCooldownSettings();
+    const cooldown = getRuleCooldown(rule);
+    
+    return new Promise((resolve) => {
+        db.get(`SELECT
+                    MAX(CASE WHEN trigger = ? THEN sent_at END) AS last_rule_reply,
+                    SUM(CASE WHEN sent_at > ? THEN 1 ELSE 0 END) AS recent_replies
+                FROM reply_log WHERE contact = ?`,
+            [rule.trigger, now - rateWindow * 1000, contact], (err, row) => {
+            if (err) {
+                // Fail open: a broken log table should not silence the bot
+                console.error('⚠️ Error checking reply cooldown:', err);
+                resolve({ allowed: true });
+                return;
+            }
+            if (cooldown > 0 && row.last_rule_reply && now - row.last_rule_reply < cooldown * 1000) {
+                const remaining = Math.ceil((cooldown * 1000 - (now - row.last_rule_reply)) / 1000);
+                resolve({ allowed: false, reason: `rule "${rule.trigger}" on cooldown for ${remaining}s` });
+                return;
+            }
+            if (rateLimit > 0 && (row.recent_replies || 0) >= rateLimit) {
+                resolve({ allowed: false, reason: `rate limit of ${rateLimit} replies per ${rateWindow}s reached` });
+                return;
+            }
+            resolve({ allowed: true });
+        });
+    });
+}
+
+// Record an auto-reply and prune entries no limit can look at any more. Resolves the reply_log id, or null on error.
+function recordReply(contact, trigger) {
+    const now = Date.now();
+    const { ruleCooldown, rateWindow } = getCooldownSettings();
+    const longestRuleCooldown = Object.values(rules).reduce((max, rule) => Math.max(max, rule.cooldownSeconds || 0), 0);
+    const keepSeconds = Math.max(ruleCooldown, rateWindow, longestRuleCooldown);
+    
+    return new Promise((resolve) => {
+        db.run('INSERT INTO reply_log (contact, trigger, sent_at) VALUES (?, ?, ?)', [contact, trigger, now], function(err) {
+            if (err) {
+                console.error('⚠️ Error recording reply:', err);
+                resolve(null);
+                return;
+            }
+            const replyLogId = this.lastID;
+            db.run('DELETE FROM reply_log WHERE sent_at < ?', [now - keepSeconds * 1000], (err) => {
+                if (err) {
+                    console.error('⚠️ Error pruning reply log:', err);
+                }
+                resolve(replyLogId);
+            });
+        });
+    });
+}
+
+// Check and record a reply as one step. Checks for the same contact run one after another, so a
+// burst of messages cannot all pass the cooldown before the first reply is logged.
+// Resolves the check, with replyLogId when allowed so releaseReply can undo it if the reply is not sent.
+const replyReservations = {};
+function reserveReply(contact, rule) {
+    const previous = replyReservations[contact] || Promise.resolve();
+    const result = previous.then(async () => {
+        const check = await checkReplyAllowed(contact, rule);
+        if (check.allowed) {
+            check.replyLogId = await recordReply(contact, rule.trigger);
+        }
+        return check;
+    });
+    const tail = result.catch(() => {});
+    replyReservations[contact] = tail;
+    tail.then(() => {
+        if (replyReservations[contact] === tail) delete replyReservations[contact];
+    });
+    return result;
+}
+
+// Give a contact its cooldown and rate limit budget back for a reply that was never sent
+function releaseReply(replyLogId) {
+    if (!replyLogId) return;
+    db.run('DELETE FROM reply_log WHERE id = ?', [replyLogId], (err) => {
+        if (err) console.error('⚠️ Error releasing reply:', err);
+    });
+}
+
+// --- BUSINESS HOURS & AWAY MODE ---
+// Rules can be limited to a time window (may wrap midnight, e.g. 18:00-09:00) and days
+// of the week. "Away" rules fire only while away mode is on, or inside their window.
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+let awayJobs = [];
+
+// Parse "mon-fri", "sat,sun", "daily" into day numbers (0 = Sunday). Returns null if invalid.
+function parseDays(spec) {
+    if (spec === 'daily') return [0, 1, 2, 3, 4, 5, 6];
+    const days = new Set();
+    for (const part of spec.toLowerCase().split(',')) {
+        const [from, to] = part.split('-').map(name => DAY_NAMES.indexOf(name));
+        if (from === -1 || to === -1) return null;
+        if (to === undefined) {
+            days.add(from);
+            continue;
+        }
+        for (let day = from; ; day = (day + 1) % 7) {
+            days.add(day);
+            if (day === to) break;
+        }
+    }
+    return [...days].sort();
+}
+
+function formatDays(days) {
+    return days.length === 7 ? 'daily' : days.map(day => DAY_NAMES[day]).join(',');
+}
+
+// Parse "HH:MM-HH:MM" into { from, to } or null
+function parseTimeWindow(spec) {
+    const parts = spec.match(/^([01]\d|2[0-3]):([0-5]\d)-([01]\d|2[0-3]):([0-5]\d)$/);
+    if (!parts) return null;
+    return { from: `${parts[1]}:${parts[2]}`, to: `${parts[3]}:${parts[4]}` };
+}
+
+// `now` is a zoned time from toZonedTime, so its UTC fields are the wall clock
+function isWithinTimeWindow(from, to, now) {
+    const current = `${String(now.getUTCHours()).padStart(2, '0')}:${String(now.getUTCMinutes()).padStart(2, '0')}`;
+    return from <= to
+        ? current >= from && current < to
+        : current >= from || current < to; // Window wraps past midnight
+}
+
+function isAwayActive() {
+    return settings.away_mode === '1';
+}
+
+// Whether a rule may fire right now (in the bot's time zone), based on its window, days and away flag
+function isRuleActive(rule, now = toZonedTime(new Date(), getDefaultTimezone())) {
+    const hasWindow = !!(rule.activeFrom && rule.activeTo);
+    const hasDays = !!(rule.activeDays && rule.activeDays.length > 0);
+    const inWindow = (!hasDays || rule.activeDays.includes(now.getUTCDay())) &&
+        (!hasWindow || isWithinTimeWindow(rule.activeFrom, rule.activeTo, now));
+    
+    if (rule.awayOnly) {
+        return isAwayActive() || ((hasWindow || hasDays) && inWindow);
+    }
+    return inWindow;
+}
+
+function describeRuleActivity(rule) {
+    const parts = [];
+    if (rule.activeFrom && rule.activeTo) parts.push(`${rule.activeFrom}-${rule.activeTo}`);
+    if (rule.activeDays && rule.activeDays.length > 0) parts.push(formatDays(rule.activeDays));
+    if (rule.awayOnly) parts.push(parts.length > 0 ? 'or away' : 'away only');
+    return parts.join(' ');
+}
+
+function clearAwayNotifiedInDb() {
+    return new Promise((resolve) => {
+        db.run('DELETE FROM away_notified', (err) => {
+            if (err) {
+                console.error('⚠️ Error clearing away notifications:', err);
+                resolve(false);
+                return;
+            }
+            resolve(true);
+        });
+    });
+}
+
+// Mark a contact as notified; resolves true only the first time per away period
+function markAwayNotifiedInDb(contact) {
+    return new Promise((resolve) => {
+        db.run('INSERT OR IGNORE INTO away_notified (contact) VALUES (?)', [contact], function(err) {
+            if (err) {
+                console.error('⚠️ Error saving away notification:', err);
+                resolve(false);
+                return;
+            }
+            resolve(this.changes > 0);
+        });
+    });
+}
+
+async function setAwayMode(enabled, message) {
+    const saved = await saveSettingToDb('away_mode', enabled ? '1' : '0');
+    if (enabled && message) {
+        await saveSettingToDb('away_message', message);
+    }
+    // Every away period starts with a clean list of notified contacts
+    await clearAwayNotifiedInDb();
+    console.log(enabled ? '🌙 Away mode enabled' : '☀️ Away mode disabled');
+    return saved;
+}
+
+// Send the away message once per away period to a WhatsApp contact
+async function sendAwayMessageIfNeeded(msg) {
+    if (!isAwayActive() || !settings.away_message) return;
+    if (!(await markAwayNotifiedInDb(msg.from))) return;
+    
+    try {
+        const name = await getWhatsAppContactName(msg.author || msg.from);
+        const timezone = getContactTimezone(msg.from.replace('@c.us', ''));
+        await enqueueOutboxMessage({
+            chatId: msg.from,
+            text: renderTemplate(settings.away_message, { name, timezone }),
+            source: 'away'
+        });
+        console.log(`🌙 Away message queued for ${msg.from}`);
+    } catch (err) {
+        console.error('⚠️ Error sending away message:', err);
+    }
+}
+
+// Automatic away mode: cron jobs switch it on at the start and off at the end of a window
+function initAwaySchedule() {
+    awayJobs.forEach(job => job.stop());
+    awayJobs = [];
+    
+    const window = settings.away_auto_window && parseTimeWindow(settings.away_auto_window);
+    if (!window) return;
+    const days = settings.away_auto_days ? settings.away_auto_days : '*';
+    const [fromHour, fromMinute] = window.from.split(':').map(Number);
+    const [toHour, toMinute] = window.to.split(':').map(Number);
+    
+    const options = { timezone: getDefaultTimezone() };
+    awayJobs.push(cron.schedule(`${fromMinute} ${fromHour} * * ${days}`, () => setAwayMode(true), options));
+    awayJobs.push(cron.schedule(`${toMinute} ${toHour} * * ${days}`, () => setAwayMode(false), options));
+    console.log(`🕒 Automatic away mode scheduled ${window.from}-${window.to} (${days === '*' ? 'daily' : formatDays(days.split(',').map(Number))})`);
+}
+
+// --- CONTACT GROUPS ---
+// Named groups of authorized numbers (a number can be in several groups).
+// Rules, schedules and /send address a group as "group:<name>" internally.
+let contactGroups = {};
+
+function loadContactGroupsFromDb() {
+    return new Promise((resolve) => {
+        db.all(`SELECT g.name, m.number FROM contact_groups g
+                LEFT JOIN contact_group_members m ON m.group_name = g.name
+                ORDER BY g.name, m.added_at`, (err, rows) => {
+            if (err) {
+                console.error('⚠️ Error loading contact groups from database:', err);
+                resolve({});
+                return;
+            }
+            const groups = {};
+            rows.forEach(row => {
+                groups[row.name] = groups[row.name] || [];
+                if (row.number) groups[row.name].push(row.number);
+            });
+            console.log(`✅ Contact groups loaded from database: ${Object.keys(groups).length} groups found`);
+            resolve(groups);
+        });
+    });
+}
+
+function saveContactGroupToDb(name) {
+    return new Promise((resolve) => {
+        db.run('INSERT OR IGNORE INTO contact_groups (name) VALUES (?)', [name], function(err) {
+            if (err) {
+                console.error('⚠️ Error saving contact group:', err);
+                resolve(false);
+                return;
+            }
+            console.log(`💾 Contact group saved to database: ${name}`);
+            resolve(true);
+        });
+    });
+}
+
+function deleteContactGroupFromDb(name) {
+    return new Promise((resolve) => {
+        db.serialize(() => {
+            db.run('DELETE FROM contact_group_members WHERE group_name = ?', [name]);
+            db.run('DELETE FROM contact_groups WHERE name = ?', [name], function(err) {
+                if (err) {
+                    console.error('⚠️ Error deleting contact group:', err);
+                    resolve(false);
+                    return;
+                }
+                console.log(`🗑️ Contact group deleted from database: ${name}`);
+                resolve(this.changes > 0);
+            });
+        });
+    });
+}
+
+function addGroupMemberToDb(name, number) {
+    return new Promise((resolve) => {
+        db.run('INSERT OR IGNORE INTO contact_group_members (group_name, number) VALUES (?, ?)', [name, number], function(err) {
+            if (err) {
+                console.error('⚠️ Error adding group member:', err);
+                resolve(false);
+                return;
+            }
+            console.log(`💾 +${number} added to group ${name}`);
+            resolve(true);
+        });
+    });
+}
+
+// Remove a number from one group, or from every group when name is null
+function removeGroupMemberFromDb(name, number) {
+    const sql = name
+        ? 'DELETE FROM contact_group_members WHERE group_name = ? AND number = ?'
+        : 'DELETE FROM contact_group_members WHERE number = ?';
+    return new Promise((resolve) => {
+        db.run(sql, name ? [name, number] : [number], function(err) {
+            if (err) {
+                console.error('⚠️ Error removing group member:', err);
+                resolve(false);
+                return;
+            }
+            console.log(`🗑️ +${number} removed from ${name ? `group ${name}` : 'all groups'}`);
+            resolve(this.changes > 0);
+        });
+    });
+}
+
+// Parse a recipient typed in a command: a number (default +91) or a group name.
+// Returns "9198..." / "group:<name>", or null if it is neither.
+function parseRecipient(token) {
+    if (/^\+?\d+$/.test(token)) return normalizeNumber(token);
+    const name = token.toLowerCase().replace(/^group:/, '');
+    return contactGroups[name] ? `group:${name}` : null;
+}
+
+// Expand a stored recipient into the numbers it stands for
+function resolveRecipients(recipient) {
+    if (recipient.startsWith('group:')) {
+        return contactGroups[recipient.substring(6)] || [];
+    }
+    return [recipient];
+}
+
+function formatRecipient(recipient) {
+    return recipient.startsWith('group:') ? `group "${recipient.substring(6)}"` : `+${recipient}`;
+}
+
+// Queue a templated message (with an optional attachment) for a number; placeholders are rendered
+// when it is sent. Returns { status: 'queued', id } or { status: 'not-registered' } (checked only while connected).
+async function sendTextToNumber(number, template, source = 'send', sourceId = null, attachment = null) {
+    if (client && client.info && !(await client.getNumberId(number))) {
+        return { status: 'not-registered' };
+    }
+    const id = await enqueueOutboxMessage({ chatId: `${number}@c.us`, text: template, render: true, attachment, source, sourceId });
+    if (!id) {
+        throw new Error('Failed to queue message');
+    }
+    return { status: 'queued', id };
+}
+
+// --- OUTBOX ---
+// Every WhatsApp message goes through the outbox table and is sent by one worker, so
+// nothing is lost while WhatsApp reconnects. The worker keeps a global messages-per-minute
+// cap and a minimum gap between messages to the same chat, and retries failed sends with
+// exponential backoff. Items are pending until they end as sent, failed or not-registered; the worker
+// claims an item (status sending) right before sending it, so a purged item is never sent.
+const DEFAULT_OUTBOX_RATE_PER_MINUTE = 20;
+const DEFAULT_OUTBOX_SPACING_SECONDS = 3;
+const DEFAULT_OUTBOX_MAX_ATTEMPTS = 5;
+const OUTBOX_RETRY_BASE_SECONDS = 30;
+const OUTBOX_RETRY_MAX_SECONDS = 3600;
+const OUTBOX_KEEP_DAYS = 7;
+let outboxTimer = null;
+let outboxBusy = false;
+let outboxSentTimes = [];
+const outboxLastSentByChat = {};
+
+function getOutboxSettings() {
+    return {
+        ratePerMinute: getNumberSetting('outbox_rate_per_minute', DEFAULT_OUTBOX_RATE_PER_MINUTE),
+        spacingSeconds: getNumberSetting('outbox_spacing_seconds', DEFAULT_OUTBOX_SPACING_SECONDS),
+        maxAttempts: getNumberSetting('outbox_max_attempts', DEFAULT_OUTBOX_MAX_ATTEMPTS)
+    };
+}
+
+// Add a message to the outbox. render: placeholders in text are filled in for the recipient at send time.
+// replyLogId: the reply_log entry of an auto-reply, released if the message is never sent.
+function enqueueOutboxMessage({ chatId, text, render = false, quotedMessageId = null, attachment = null, source, sourceId = null, replyLogId = null }) {
+    return new Promise((resolve) => {
+        db.run(`INSERT INTO outbox (chat_id, text, render, quoted_message_id, attachment, source, source_id, reply_log_id, next_attempt_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [chatId, text, render ? 1 : 0, quotedMessageId, attachment ? JSON.stringify(attachment) : null,
+                source, sourceId, replyLogId, Date.now()], function(err) {
+            if (err) {
+                console.error('⚠️ Error adding message to outbox:', err);
+                resolve(null);
+                return;
+            }
+            console.log(`📥 Queued outbox message #${this.lastID} for ${chatId} (${source})`);
+            resolve(this.lastID);
+        });
+    });
+}
+
+function getDueOutboxMessages() {
+    return new Promise((resolve) => {
+        db.all(`SELECT * FROM outbox WHERE status = 'pending' AND next_attempt_at <= ? ORDER BY id LIMIT 50`,
+            [Date.now()], (err, rows) => {
+            if (err) {
+                console.error('⚠️ Error loading outbox:', err);
+                resolve([]);
+                return;
+            }
+            resolve(rows);
+        });
+    });
+}
+
+// Mark a pending item as being sent. Resolves false if it is gone or no longer pending.
+function claimOutboxMessage(id) {
+    return new Promise((resolve) => {
+        db.run(`UPDATE outbox SET status = 'sending' WHERE id = ? AND status = 'pending'`, [id], function(err) {
+            if (err) {
+                console.error('⚠️ Error claiming outbox message:', err);
+                resolve(false);
+                return;
+            }
+            resolve(this.changes === 1);
+        });
+    });
+}
+
+function updateOutboxMessage(id, fields) {
+    const columns = Object.keys(fields);
+    return new Promise((resolve) => {
+        db.run(`UPDATE outbox SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+            [...columns.map(column => fields[column]), id], function(err) {
+            if (err) {
+                console.error('⚠️ Error updating outbox message:', err);
+                resolve(false);
+                return;
+            }
+            resolve(true);
+        });
+    });
+}
+
+function getOutboxSummaryFromDb() {
+    return new Promise((resolve) => {
+        db.all(`SELECT status, COUNT(*) AS count FROM outbox GROUP BY status`, (err, counts) => {
+            if (err) {
+                console.error('⚠️ Error loading outbox summary:', err);
+                resolve({ counts: [], pending: [], failed: [] });
+                return;
+            }
+            db.all(`SELECT * FROM outbox WHERE status = 'pending' ORDER BY id LIMIT 10`, (err, pending) => {
+                db.all(`SELECT * FROM outbox WHERE status IN ('failed', 'not-registered') ORDER BY id DESC LIMIT 5`, (err2, failed) => {
+                    resolve({ counts, pending: pending || [], failed: failed || [] });
+                });
+            });
+        });
+    });
+}
+
+// Delete outbox items: 'pending', 'failed' (failed and not-registered), 'broadcast:<id>'
+// (its pending messages) or a single id. Resolves with the deleted items, or null on error.
+function purgeOutboxFromDb(target) {
+    let where;
+    let params = [];
+    if (target === 'pending') {
+        where = `status = 'pending'`;
+    } else if (String(target).startsWith('broadcast:')) {
+        where = `status = 'pending' AND source = 'broadcast' AND source_id = ?`;
+        params = [target.split(':')[1]];
+    } else if (target === 'failed') {
+        where = `status IN ('failed', 'not-registered')`;
+    } else {
+        // An item being sent can no longer be stopped
+        where = `id = ? AND status != 'sending'`;
+        params = [target];
+    }
+    return new Promise((resolve) => {
+        db.all(`SELECT * FROM outbox WHERE ${where}`, params, (err, rows) => {
+            if (err) {
+                console.error('⚠️ Error loading outbox items to purge:', err);
+                resolve(null);
+                return;
+            }
+            db.run(`DELETE FROM outbox WHERE ${where}`, params, (err) => {
+                if (err) {
+                    console.error('⚠️ Error purging outbox:', err);
+                    resolve(null);
+                    return;
+                }
+                console.log(`🗑️ Purged ${rows.length} outbox message(s)`);
+                resolve(rows);
+            });
+        });
+    });
+}
+
+function formatOutboxChat(chatId) {
+    if (chatId.endsWith('@g.us')) {
+        return authorizedChats[chatId] ? `"${authorizedChats[chatId].name}"` : chatId;
+    }
+    return `+${chatId.replace('@c.us', '')}`;
+}
+
+// Called when an outbox item is done: log it, store sent messages in the history and report failures of /send and schedules
+async function onOutboxResult(item, status, error = null, text = item.text) {
+    if (status === 'sent') {
+        console.log(`📤 Outbox message #${item.id} sent to ${formatOutboxChat(item.chat_id)} (${item.source})`);
+        const attachment = parseAttachment(item.attachment);
+        logMessage({
+            channel: 'whatsapp',
+            direction: 'out',
+            chatId: item.chat_id,
+            contact: item.chat_id.endsWith('@c.us') ? item.chat_id.replace('@c.us', '') : item.chat_id,
+            body: text,
+            media: attachment ? describeAttachment(attachment) : null,
+            source: item.source,
+            rule: item.source === 'auto-reply' ? item.source_id : null
+        });
+        if (item.source === 'auto-reply' || item.source === 'away') {
+            incrementMetric('messages_replied_total', { channel: 'whatsapp' });
+            emitWebhookEvent('autoreply.sent', {
+                channel: 'whatsapp',
+                chatId: item.chat_id,
+                source: item.source,
+                rule: item.source === 'auto-reply' ? item.source_id : null,
+                text,
+                media: attachment ? describeAttachment(attachment) : null
+            });
+        }
+    } else {
+        console.log(`❌ Outbox message #${item.id} to ${formatOutboxChat(item.chat_id)} ${status}${error ? `: ${error}` : ''}`);
+        incrementMetric('send_failures_total', { channel: 'whatsapp', source: item.source });
+    }
+    
+    if (item.source === 'schedule' && item.source_id) {
+        await updateScheduleRun(item.source_id, status, error);
+    }
+    if (item.source === 'broadcast' && item.source_id) {
+        onBroadcastResult(item, status, error);
+    }
+    if (item.source === 'auto-reply' && item.source_id && status !== 'sent') {
+        recordRuleFailure(item.source_id, item.chat_id.replace('@c.us', ''));
+        releaseReply(item.reply_log_id);
+    }
+    if (status !== 'sent' && (item.source === 'send' || item.source === 'schedule')) {
+        const reason = status === 'not-registered' ? 'the number is not registered on WhatsApp' : error;
+        notifyAdmins(`❌ ${item.source === 'schedule' ? 'Scheduled message' : 'Message'} #${item.id} to ${formatOutboxChat(item.chat_id)} failed: ${reason}`);
+    }
+}
+
+// Send one outbox item; failures are retried with backoff until the attempt limit
+async function deliverOutboxMessage(item) {
+    const attempts = item.attempts + 1;
+    try {
+        let chatId = item.chat_id;
+        let text = item.text;
+        if (item.render) {
+            const number = chatId.replace('@c.us', '');
+            const numberId = await client.getNumberId(number);
+            if (!numberId) {
+                await updateOutboxMessage(item.id, { status: 'not-registered', attempts });
+                await onOutboxResult(item, 'not-registered');
+                return;
+            }
+            chatId = numberId._serialized;
+            const name = await getWhatsAppContactName(chatId);
+            text = renderTemplate(item.text, { name, timezone: getContactTimezone(number) });
+        }
+        
+        // After a failed follow-up text only the text is retried, so the media is not sent twice
+        const attachment = item.media_sent ? null : parseAttachment(item.attachment);
+        await sendWhatsAppMessage(chatId, text, attachment,
+            item.quoted_message_id ? { quotedMessageId: item.quoted_message_id } : {},
+            () => updateOutboxMessage(item.id, { media_sent: 1 }));
+        await updateOutboxMessage(item.id, { status: 'sent', attempts, text, render: 0, sent_at: new Date().toISOString() });
+        await onOutboxResult(item, 'sent', null, text);
+    } catch (err) {
+        const { maxAttempts } = getOutboxSettings();
+        if (attempts >= maxAttempts) {
+            await updateOutboxMessage(item.id, { status: 'failed', attempts, last_error: err.message });
+            await onOutboxResult(item, 'failed', err.message);
+            return;
+        }
+        const delaySeconds = Math.min(OUTBOX_RETRY_BASE_SECONDS * 2 ** (attempts - 1), OUTBOX_RETRY_MAX_SECONDS);
+        console.log(`🔁 Outbox message #${item.id} failed (${err.message}), retry ${attempts}/${maxAttempts - 1} in ${delaySeconds}s`);
+        await updateOutboxMessage(item.id, {
+            status: 'pending',
+            attempts,
+            last_error: err.message,
+            next_attempt_at: Date.now() + delaySeconds * 1000
+        });
+    }
+}
+
+// Worker tick: send due items while the rate cap and per-chat spacing allow
+async function processOutbox() {
+    if (outboxBusy || !client || !client.info) return;
+    outboxBusy = true;
+    try {
+        const { ratePerMinute, spacingSeconds } = getOutboxSettings();
+        const due = await getDueOutboxMessages();
+        for (const item of due) {
+            const now = Date.now();
+            outboxSentTimes = outboxSentTimes.filter(time => now - time < 60000);
+            if (ratePerMinute > 0 && outboxSentTimes.length >= ratePerMinute) break;
+            if (now - (outboxLastSentByChat[item.chat_id] || 0) < spacingSeconds * 1000) continue;
+            if (!client.info) break;
+            // The item may have been purged since the batch was loaded
+            if (!(await claimOutboxMessage(item.id))) continue;
+            
+            outboxSentTimes.push(now);
+            outboxLastSentByChat[item.chat_id] = now;
+            await deliverOutboxMessage(item);
+        }
+    } catch (err) {
+        console.error('⚠️ Error processing outbox:', err);
+    } finally {
+        outboxBusy = false;
+    }
+}
+
+// Start the outbox worker and drop finished items older than OUTBOX_KEEP_DAYS
+function startOutbox() {
+    if (outboxTimer) return;
+    // Items left in sending by a crash or restart are sent again
+    db.run(`UPDATE outbox SET status = 'pending' WHERE status = 'sending'`, (err) => {
+        if (err) console.error('⚠️ Error resetting outbox messages:', err);
+        db.run(`DELETE FROM outbox WHERE status NOT IN ('pending', 'sending') AND created_at < datetime('now', ?)`, [`-${OUTBOX_KEEP_DAYS} days`], (err) => {
+            if (err) console.error('⚠️ Error cleaning up outbox:', err);
+        });
+    });
+    outboxTimer = setInterval(processOutbox, 1000);
+    console.log('📮 Outbox worker started');
+}
+
+// --- WHATSAPP GROUP CHATS ---
+// WhatsApp group chats the bot may answer in. mode "all" replies to every matching
+// message; "mention" only when our account is @mentioned or a message of ours is quoted.
+const GROUP_CHAT_MODES = ['all', 'mention'];
+let authorizedChats = {};
+
+function loadAuthorizedChatsFromDb() {
+    return new Promise((resolve) => {
+        db.all('SELECT * FROM authorized_chats', (err, rows) => {
+            if (err) {
+                console.error('⚠️ Error loading authorized group chats from database:', err);
+                resolve({});
+                return;
+            }
+            const chats = {};
+            rows.forEach(row => {
+                chats[row.chat_id] = { name: row.name, mode: row.mode };
+            });
+            console.log(`✅ Authorized group chats loaded from database: ${rows.length} found`);
+            resolve(chats);
+        });
+    });
+}
+
+function saveAuthorizedChatToDb(chatId, name, mode) {
+    return new Promise((resolve) => {
+        db.run('INSERT OR REPLACE INTO authorized_chats (chat_id, name, mode) VALUES (?, ?, ?)', [chatId, name, mode], function(err) {
+            if (err) {
+                console.error('⚠️ Error saving authorized group chat:', err);
+                resolve(false);
+                return;
+            }
+            console.log(`💾 Authorized group chat saved to database: ${chatId} (${mode})`);
+            resolve(true);
+        });
+    });
+}
+
+function removeAuthorizedChatFromDb(chatId) {
+    return new Promise((resolve) => {
+        db.run('DELETE FROM authorized_chats WHERE chat_id = ?', [chatId], function(err) {
+            if (err) {
+                console.error('⚠️ Error removing authorized group chat:', err);
+                resolve(false);
+                return;
+            }
+            console.log(`🗑️ Authorized group chat removed from database: ${chatId}`);
+            resolve(this.changes > 0);
+        });
+    });
+}
+
+// Accept "1203...", "1203...@g.us" or "9198...-1612..." and return the serialized group id
+function normalizeGroupChatId(id) {
+    return id.endsWith('@g.us') ? id : `${id}@g.us`;
+}
+
+// Phone number of the person who wrote a message (group participants may be @lid ids)
+async function resolveAuthorNumber(msg) {
+    const authorId = msg.author || msg.from;
+    if (authorId.endsWith('@lid')) {
+        try {
+            const [ids] = await client.getContactLidAndPhone([authorId]);
+            if (ids && ids.pn) return ids.pn.replace('@c.us', '');
+        } catch (err) {
+            console.log('⚠️ Could not resolve group author number:', err.message);
+        }
+    }
+    return authorId.replace('@c.us', '').replace('@lid', '');
+}
+
+// Whether a group message @mentions our account or replies to one of our messages
+async function isAddressedToUs(msg) {
+    if (!client.info) return false;
+    const ownIds = [client.info.wid._serialized];
+    try {
+        const [ids] = await client.getContactLidAndPhone([client.info.wid._serialized]);
+        if (ids && ids.lid) ownIds.push(ids.lid);
+    } catch (err) {
+        // Older WhatsApp Web builds have no LIDs; the phone id is enough there
+    }
+    
+    if ((msg.mentionedIds || []).some(id => ownIds.includes(typeof id === 'string' ? id : id._serialized))) {
+        return true;
+    }
+    if (msg.hasQuotedMsg) {
+        try {
+            const quoted = await msg.getQuotedMessage();
+            return !!(quoted && quoted.fromMe);
+        } catch (err) {
+            console.log('⚠️ Could not load quoted message:', err.message);
+        }
+    }
+    return false;
+}
+
+// --- MEDIA ATTACHMENTS ---
+// Photos, documents, voice notes, audio and video sent to the Telegram bot are downloaded to
+// sessions/media. An attachment is stored as JSON, either
+//   { type: 'file', kind: 'photo'|'document'|'voice'|'audio'|'video', path, mimetype, filename }
+// with path relative to MEDIA_DIR, or { type: 'location', latitude, longitude, name }.
+const MEDIA_DIR = path.join(__dirname, 'sessions', 'media');
+const ATTACHMENT_KINDS = ['photo', 'document', 'voice', 'audio', 'video'];
+
+function parseAttachment(json) {
+    if (!json) return null;
+    try {
+        return JSON.parse(json);
+    } catch (err) {
+        console.error('⚠️ Invalid attachment in database:', err.message);
+        return null;
+    }
+}
+
+function describeAttachment(attachment) {
+    if (attachment.type === 'location') {
+        return `📍 ${attachment.name || `${attachment.latitude},${attachment.longitude}`}`;
+    }
+    return `📎 ${attachment.kind} ${attachment.filename}`;
+}
+
+// Save the media of a Telegram message (usually the one a command replies to), or null if it has none
+async function saveTelegramAttachment(msg) {
+    if (msg.location) {
+        return {
+            type: 'location',
+            latitude: msg.location.latitude,
+            longitude: msg.location.longitude,
+            name: msg.venue ? msg.venue.title : null
+        };
+    }
+    
+    const kind = ATTACHMENT_KINDS.find(key => msg[key]);
+    if (!kind) return null;
+    // Photos come in several sizes; the last one is the largest
+    const file = kind === 'photo' ? { ...msg.photo[msg.photo.length - 1], mime_type: 'image/jpeg' } : msg[kind];
+    
+    fs.mkdirSync(MEDIA_DIR, { recursive: true });
+    const filePath = await bot.downloadFile(file.file_id, MEDIA_DIR);
+    console.log(`📎 Saved Telegram ${kind} to ${filePath}`);
+    return {
+        type: 'file',
+        kind,
+        path: path.basename(filePath),
+        mimetype: file.mime_type || null,
+        filename: file.file_name || path.basename(filePath)
+    };
+}
+
+// Send text with an optional attachment to a WhatsApp chat; the text becomes the caption where WhatsApp allows one.
+// onMediaSent is awaited between the media and a follow-up text, so a retry can skip the media.
+async function sendWhatsAppMessage(chatId, text, attachment, options = {}, onMediaSent = null) {
+    if (!attachment) {
+        return client.sendMessage(chatId, text, options);
+    }
+    
+    if (attachment.type === 'location') {
+        const location = new Location(attachment.latitude, attachment.longitude, attachment.name ? { name: attachment.name } : {});
+        await client.sendMessage(chatId, location, options);
+    } else {
+        const media = MessageMedia.fromFilePath(path.join(MEDIA_DIR, attachment.path));
+        if (attachment.mimetype) media.mimetype = attachment.mimetype;
+        media.filename = attachment.filename;
+        const withCaption = attachment.kind !== 'voice' && attachment.kind !== 'audio';
+        await client.sendMessage(chatId, media, {
+            ...options,
+            caption: withCaption && text ? text : undefined,
+            sendAudioAsVoice: attachment.kind === 'voice',
+            sendMediaAsDocument: attachment.kind === 'document'
+        });
+        if (withCaption) return;
+    }
+    // Locations and voice notes have no caption, so the text follows as its own message
+    if (text) {
+        if (onMediaSent) await onMediaSent();
+        await client.sendMessage(chatId, text);
+    }
+}
+
+// Send an attachment to a Telegram chat (auto-replies on the Telegram side)
+async function sendTelegramAttachment(chatId, attachment, caption) {
+    if (attachment.type === 'location') {
+        await bot.sendLocation(chatId, attachment.latitude, attachment.longitude);
+        if (caption) await bot.sendMessage(chatId, caption);
+        return;
+    }
+    const filePath = path.join(MEDIA_DIR, attachment.path);
+    const options = caption ? { caption } : {};
+    switch (attachment.kind) {
+        case 'photo':
+            return bot.sendPhoto(chatId, filePath, options);
+        case 'voice':
+            return bot.sendVoice(chatId, filePath, options);
+        case 'audio':
+            return bot.sendAudio(chatId, filePath, options);
+        case 'video':
+            return bot.sendVideo(chatId, filePath, options);
+        default:
+            return bot.sendDocument(chatId, filePath, options);
+    }
+}
+
+// --- WHATSAPP ↔ TELEGRAM RELAY ---
+// Messages from relay contacts (numbers or contact groups) are forwarded to the relay chat
+// (/relay here, else RELAY_CHAT_ID, else the first admin). relay_messages maps each forwarded
+// Telegram message to the WhatsApp message, so replying to it in Telegram answers the sender.
+let relayContacts = [];
+
+function getRelayChatId() {
+    const chatId = settings.relay_chat_id || process.env.RELAY_CHAT_ID || ADMIN_CHAT_IDS[0];
+    return chatId ? parseInt(chatId) : null;
+}
+
+function isRelayContact(number) {
+    return relayContacts.some(contact => resolveRecipients(contact).includes(number));
+}
+
+function loadRelayContactsFromDb() {
+    return new Promise((resolve) => {
+        db.all('SELECT contact FROM relay_contacts ORDER BY created_at', (err, rows) => {
+            if (err) {
+                console.error('⚠️ Error loading relay contacts from database:', err);
+                resolve([]);
+                return;
+            }
+            console.log(`✅ Relay contacts loaded from database: ${rows.length} found`);
+            resolve(rows.map(row => row.contact));
+        });
+    });
+}
+
+function saveRelayContactToDb(contact) {
+    return new Promise((resolve) => {
+        db.run('INSERT OR IGNORE INTO relay_contacts (contact) VALUES (?)', [contact], function(err) {
+            if (err) {
+                console.error('⚠️ Error saving relay contact:', err);
+                resolve(false);
+                return;
+            }
+            console.log(`💾 Relay contact saved to database: ${contact}`);
+            resolve(true);
+        });
+    });
+}
+
+function removeRelayContactFromDb(contact) {
+    return new Promise((resolve) => {
+        db.run('DELETE FROM relay_contacts WHERE contact = ?', [contact], function(err) {
+            if (err) {
+                console.error('⚠️ Error removing relay contact:', err);
+                resolve(false);
+                return;
+            }
+            console.log(`🗑️ Relay contact removed from database: ${contact}`);
+            resolve(this.changes > 0);
+        });
+    });
+}
+
+function saveRelayMappingToDb(telegramChatId, telegramMessageId, waChatId, waMessageId) {
+    return new Promise((resolve) => {
+        db.run(`INSERT OR REPLACE INTO relay_messages (telegram_chat_id, telegram_message_id, wa_chat_id, wa_message_id)
+                VALUES (?, ?, ?, ?)`, [telegramChatId, telegramMessageId, waChatId, waMessageId], function(err) {
+            if (err) {
+                console.error('⚠️ Error saving relay message mapping:', err);
+                resolve(false);
+                return;
+            }
+            resolve(true);
+        });
+    });
+}
+
+function getRelayMappingFromDb(telegramChatId, telegramMessageId) {
+    return new Promise((resolve) => {
+        if (!isDatabaseReady) {
+            resolve(null);
+            return;
+        }
+        db.get('SELECT * FROM relay_messages WHERE telegram_chat_id = ? AND telegram_message_id = ?',
+            [telegramChatId, telegramMessageId], (err, row) => {
+            if (err) {
+                console.error('⚠️ Error loading relay message mapping:', err);
+                resolve(null);
+                return;
+            }
+            resolve(row || null);
+        });
+    });
+}
+
+// Forward a WhatsApp message (text, media or location) to the relay chat
+async function relayToTelegram(msg, number) {
+    const relayChatId = getRelayChatId();
+    if (!relayChatId) return;
+    
+    const name = await getWhatsAppContactName(msg.from);
+    const header = `💬 ${name ? `${name} ` : ''}(+${number})`;
+    const caption = msg.body ? `${header}:\n${msg.body}` : header;
+    const sent = [];
+    try {
+        if (msg.type === 'location' && msg.location) {
+            sent.push(await bot.sendMessage(relayChatId, header));
+            sent.push(await bot.sendLocation(relayChatId, msg.location.latitude, msg.location.longitude));
+        } else if (msg.hasMedia) {
+            const media = await msg.downloadMedia();
+            if (!media) {
+                sent.push(await bot.sendMessage(relayChatId, `${caption}\n📎 (media could not be downloaded)`));
+            } else {
+                const buffer = Buffer.from(media.data, 'base64');
+                const fileOptions = { filename: media.filename || `whatsapp-${msg.type}`, contentType: media.mimetype };
+                const options = { caption };
+                switch (msg.type) {
+                    case 'image':
+                        sent.push(await bot.sendPhoto(relayChatId, buffer, options, fileOptions));
+                        break;
+                    case 'ptt':
+                        sent.push(await bot.sendVoice(relayChatId, buffer, options, fileOptions));
+                        break;
+                    case 'audio':
+                        sent.push(await bot.sendAudio(relayChatId, buffer, options, fileOptions));
+                        break;
+                    case 'video':
+                        sent.push(await bot.sendVideo(relayChatId, buffer, options, fileOptions));
+                        break;
+                    default:
+                        sent.push(await bot.sendDocument(relayChatId, buffer, options, fileOptions));
+                }
+            }
+        } else {
+            sent.push(await bot.sendMessage(relayChatId, caption));
+        }
+        console.log(`📨 Relayed ${msg.type} message from +${number} to Telegram chat ${relayChatId}`);
+    } catch (err) {
+        console.error(`⚠️ Error relaying message from +${number}:`, err);
+    }
+    
+    for (const message of sent) {
+        await saveRelayMappingToDb(relayChatId, message.message_id, msg.from, msg.id._serialized);
+    }
+}
+
+// Admin replies to a relayed message answer the WhatsApp sender, quoting their message
+bot.on('message', async (msg) => {
+    const replied = msg.reply_to_message;
+    if (!replied || (msg.text && msg.text.startsWith('/'))) return;
+    if (!isAdmin(msg.chat.id) && !(msg.from && isAdmin(msg.from.id))) return;
+    
+    const link = await getRelayMappingFromDb(msg.chat.id, replied.message_id);
+    if (!link) return;
+    
+    try {
+        const attachment = await saveTelegramAttachment(msg);
+        const text = msg.text || msg.caption || '';
+        if (!text && !attachment) return;
+        
+        const id = await enqueueOutboxMessage({
+            chatId: link.wa_chat_id,
+            text,
+            attachment,
+            quotedMessageId: link.wa_message_id,
+            source: 'relay'
+        });
+        bot.sendMessage(msg.chat.id, id
+            ? `↩️ Reply #${id} queued for ${formatOutboxChat(link.wa_chat_id)}.`
+            : '❌ Failed to queue the reply.', { reply_to_message_id: msg.message_id });
+    } catch (err) {
+        console.error('⚠️ Error relaying Telegram reply to WhatsApp:', err);
+        bot.sendMessage(msg.chat.id, `⚠️ Failed to send reply: ${err.message}`);
+    }
+});
+
+// /relay                          - relay chat and contacts
+// /relay add|remove <number|group> - start or stop relaying a contact
+// /relay here                     - relay into this chat
+bot.onText(/^\/relay(?:\s+(.+))?$/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    if (!isAdmin(chatId)) {
+        bot.sendMessage(chatId, "❌ You don't have permission to manage the relay.");
+        return;
+    }
+    
+    const args = (match[1] || '').trim();
+    
+    if (!args) {
+        const relayChatId = getRelayChatId();
+        let text = `📨 WhatsApp → Telegram relay\n` +
+            `Relay chat: ${relayChatId ? (relayChatId === chatId ? 'this chat' : relayChatId) : 'none (use /relay here)'}\n\n`;
+        text += relayContacts.length > 0
+            ? `Contacts:\n${relayContacts.map(contact => `• ${formatRecipient(contact)}`).join('\n')}\n\nReply to a relayed message to answer the sender.`
+            : 'No contacts are relayed. Use /relay add <number|group>.';
+        bot.sendMessage(chatId, text);
+        return;
+    }
+    
+    if (args.toLowerCase() === 'here') {
+        const success = await saveSettingToDb('relay_chat_id', chatId);
+        bot.sendMessage(chatId, success
+            ? '✅ Relayed WhatsApp messages will be posted in this chat.'
+            : '❌ Failed to save relay chat to database.');
+        return;
+    }
+    
+    const parts = args.match(/^(add|remove)\s+(\+?\d+|[A-Za-z][\w:-]*)$/i);
+    if (!parts) {
+        bot.sendMessage(chatId, '⚠️ Usage: /relay, /relay add <number|group>, /relay remove <number|group>, /relay here');
+        return;
+    }
+    const contact = parseRecipient(parts[2]);
+    if (!contact) {
+        bot.sendMessage(chatId, `❌ "${parts[2]}" is not a number or contact group.`);
+        return;
+    }
+    
+    if (parts[1].toLowerCase() === 'add') {
+        if (relayContacts.includes(contact)) {
+            bot.sendMessage(chatId, `ℹ️ ${formatRecipient(contact)} is already relayed.`);
+            return;
+        }
+        if (!(await saveRelayContactToDb(contact))) {
+            bot.sendMessage(chatId, '❌ Failed to save relay contact to database.');
+            return;
+        }
+        relayContacts.push(contact);
+        bot.sendMessage(chatId, `✅ Messages from ${formatRecipient(contact)} will be relayed to Telegram.`);
+    } else {
+        if (!(await removeRelayContactFromDb(contact))) {
+            bot.sendMessage(chatId, `⚠️ ${formatRecipient(contact)} is not relayed.`);
+            return;
+        }
+        relayContacts = relayContacts.filter(entry => entry !== contact);
+        bot.sendMessage(chatId, `🗑️ Stopped relaying ${formatRecipient(contact)}.`);
+    }
+});
+
+// --- MESSAGE HISTORY ---
+// Every WhatsApp message received or sent (via the outbox) and every Telegram auto-reply
+// conversation is stored in the messages table. Contacts are WhatsApp numbers (group chat
+// ids for messages we send to groups) or tg:<chat id>. Messages older than
+// history_retention_days are deleted nightly; 0 keeps them forever.
+const DEFAULT_HISTORY_RETENTION_DAYS = 90;
+const DEFAULT_HISTORY_LIMIT = 20;
+const MAX_HISTORY_LIMIT = 100;
+let historyRetentionJob = null;
+
+function logMessage({ channel, direction, chatId, contact, body = '', media = null, source, rule = null }) {
+    if (!isDatabaseReady) return;
+    db.run(`INSERT INTO messages (channel, direction, chat_id, contact, body, media, source, rule_trigger)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [channel, direction, String(chatId), contact, body, media, source, rule], (err) => {
+        if (err) console.error('⚠️ Error saving message to history:', err);
+    });
+}
+
+function getHistoryFromDb(contact, limit) {
+    return new Promise((resolve) => {
+        db.all('SELECT * FROM messages WHERE contact = ? ORDER BY id DESC LIMIT ?', [contact, limit], (err, rows) => {
+            if (err) {
+                console.error('⚠️ Error loading message history:', err);
+                resolve([]);
+                return;
+            }
+            resolve(rows.reverse());
+        });
+    });
+}
+
+function searchMessagesInDb(text, limit) {
+    const pattern = `%${text.replace(/[\\%_]/g, char => `\\${char}`)}%`;
+    return new Promise((resolve) => {
+        db.all(`SELECT * FROM messages WHERE body LIKE ? ESCAPE '\\' ORDER BY id DESC LIMIT ?`, [pattern, limit], (err, rows) => {
+            if (err) {
+                console.error('⚠️ Error searching message history:', err);
+                resolve([]);
+                return;
+            }
+            resolve(rows);
+        });
+    });
+}
+
+function pruneMessageHistory() {
+    const days = getNumberSetting('history_retention_days', DEFAULT_HISTORY_RETENTION_DAYS);
+    if (days <= 0) return;
+    db.run(`DELETE FROM messages WHERE created_at < datetime('now', ?)`, [`-${days} days`], function(err) {
+        if (err) {
+            console.error('⚠️ Error pruning message history:', err);
+            return;
+        }
+        if (this.changes > 0) {
+            console.log(`🧹 Deleted ${this.changes} message(s) older than ${days} days from history`);
+        }
+    });
+}
+
+// Prune now and every night at 03:00
+function initHistoryRetention() {
+    pruneMessageHistory();
+    if (!historyRetentionJob) {
+        historyRetentionJob = cron.schedule('0 3 * * *', pruneMessageHistory, { timezone: getDefaultTimezone() });
+    }
+}
+
+// One history line: "2026-10-19 14:03 ⬅️ +919876543210: hello"
+function formatHistoryLine(row, withContact) {
+    const time = formatDateTime(toZonedTime(new Date(`${row.created_at.replace(' ', 'T')}Z`), getDefaultTimezone())).slice(0, 16);
+    const who = row.direction === 'in'
+        ? (withContact ? formatHistoryContact(row.contact) : '')
+        : `${withContact ? `→ ${formatHistoryContact(row.contact)} ` : ''}(${row.source}${row.rule_trigger ? ` "${row.rule_trigger}"` : ''})`;
+    const body = (row.body || '').length > 200 ? `${row.body.slice(0, 200)}…` : (row.body || '');
+    const media = row.media ? ` [${row.media}]` : '';
+    return `${time} ${row.direction === 'in' ? '⬅️' : '➡️'} ${who}${who ? ': ' : ''}${body}${media}`;
+}
+
+function formatHistoryContact(contact) {
+    if (contact.startsWith('tg:')) return `Telegram ${contact.slice(3)}`;
+    return /^\d+$/.test(contact) ? `+${contact}` : formatOutboxChat(contact);
+}
+
+// Telegram messages are limited to 4096 characters; keep as many lines as fit,
+// dropping them from the start (fromEnd) or from the end
+function fitTelegramMessage(header, lines, fromEnd = false) {
+    const ordered = fromEnd ? [...lines].reverse() : lines;
+    const kept = [];
+    let length = header.length;
+    for (const line of ordered) {
+        length += line.length + 1;
+        if (length > 4000) break;
+        kept.push(line);
+    }
+    return `${header}${(fromEnd ? kept.reverse() : kept).join('\n')}`;
+}
+
+// /history <number|tg:<chat id>> [n] - the last n messages with a contact
+// /history retention <days>        - keep history for that many days (0 = forever)
+bot.onText(/^\/history(?:\s+(.+))?$/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    if (!isAdmin(chatId)) {
+        bot.sendMessage(chatId, "❌ You don't have permission to view message history.");
+        return;
+    }
+    
+    const args = (match[1] || '').trim();
+    let parts = args.match(/^retention(?:\s+(\d+))?$/i);
+    if (parts) {
+        if (parts[1]) {
+            const success = await saveSettingToDb('history_retention_days', parseInt(parts[1]));
+            if (!success) {
+                bot.sendMessage(chatId, '❌ Failed to save history retention to database.');
+                return;
+            }
+            pruneMessageHistory();
+        }
+        const days = getNumberSetting('history_retention_days', DEFAULT_HISTORY_RETENTION_DAYS);
+        bot.sendMessage(chatId, days > 0 ? `🗄️ Message history is kept for ${days} days.` : '🗄️ Message history is kept forever.');
+        return;
+    }
+    
+    parts = args.match(/^(\+?\d+|tg:-?\d+)(?:\s+(\d+))?$/i);
+    if (!parts) {
+        bot.sendMessage(chatId, '⚠️ Usage: /history <number|tg:<chat id>> [count], /history retention [days]');
+        return;
+    }
+    const contact = parts[1].toLowerCase().startsWith('tg:') ? parts[1].toLowerCase() : normalizeNumber(parts[1]);
+    const limit = Math.min(parseInt(parts[2]) || DEFAULT_HISTORY_LIMIT, MAX_HISTORY_LIMIT);
+    
+    const rows = await getHistoryFromDb(contact, limit);
+    if (rows.length === 0) {
+        bot.sendMessage(chatId, `📭 No messages with ${formatHistoryContact(contact)}.`);
+        return;
+    }
+    bot.sendMessage(chatId, fitTelegramMessage(`🗂️ Last ${rows.length} message(s) with ${formatHistoryContact(contact)}:\n\n`,
+        rows.map(row => formatHistoryLine(row, false)), true));
+});
+
+// /search "text" [n] - messages containing the text, newest first
+bot.onText(/^\/search\s+"([^"]+)"(?:\s+(\d+))?$/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    if (!isAdmin(chatId)) {
+        bot.sendMessage(chatId, "❌ You don't have permission to view message history.");
+        return;
+    }
+    
+    const limit = Math.min(parseInt(match[2]) || DEFAULT_HISTORY_LIMIT, MAX_HISTORY_LIMIT);
+    const rows = await searchMessagesInDb(match[1], limit);
+    if (rows.length === 0) {
+        bot.sendMessage(chatId, `🔍 No messages contain "${match[1]}".`);
+        return;
+    }
+    bot.sendMessage(chatId, fitTelegramMessage(`🔍 ${rows.length} message(s) containing "${match[1]}" (newest first):\n\n`,
+        rows.map(row => formatHistoryLine(row, true))));
+});
+
+// --- STATISTICS ---
+// rule_stats counts how often each rule fired and how many of its replies failed;
+// contact_stats counts messages received from, and auto-replies sent to, each contact
+// (WhatsApp numbers and tg:<chat id>). Messages per day come from the message history.
+const STATS_TOP_COUNT = 10;
+const STATS_DAYS = 7;
+
+// Increment counters on a stats row, creating it first if needed
+function bumpStats(table, keyColumn, key, increments, timeColumn) {
+    if (!isDatabaseReady) return;
+    const sets = Object.keys(increments).map(column => `${column} = ${column} + ?`);
+    if (timeColumn) sets.push(`${timeColumn} = CURRENT_TIMESTAMP`);
+    db.run(`INSERT OR IGNORE INTO ${table} (${keyColumn}) VALUES (?)`, [key], (err) => {
+        if (err) {
+            console.error(`⚠️ Error updating ${table}:`, err);
+            return;
+        }
+        db.run(`UPDATE ${table} SET ${sets.join(', ')} WHERE ${keyColumn} = ?`, [...Object.values(increments), key], (err) => {
+            if (err) console.error(`⚠️ Error updating ${table}:`, err);
+        });
+    });
+}
+
+function recordRuleHit(trigger, contact) {
+    // Per-rule counts are in /stats; triggers are free text, so they are not metric labels
+    incrementMetric('rule_hits_total', { channel: contact.startsWith('tg:') ? 'telegram' : 'whatsapp' });
+    bumpStats('rule_stats', 'trigger', trigger, { hits: 1 }, 'last_fired_at');
+    bumpStats('contact_stats', 'contact', contact, { replies: 1 });
+}
+
+function recordRuleFailure(trigger, contact) {
+    bumpStats('rule_stats', 'trigger', trigger, { failures: 1 });
+    bumpStats('contact_stats', 'contact', contact, { failures: 1 });
+}
+
+function recordContactMessage(contact) {
+    bumpStats('contact_stats', 'contact', contact, { messages: 1 }, 'last_message_at');
+}
+
+function queryAll(sql, params = []) {
+    return new Promise((resolve) => {
+        db.all(sql, params, (err, rows) => {
+            if (err) {
+                console.error('⚠️ Error loading statistics:', err);
+                resolve([]);
+                return;
+            }
+            resolve(rows);
+        });
+    });
+}
+
+// Statistics for /stats and GET /stats. Only rules that still exist are reported.
+async function getStats() {
+    const ruleRows = await queryAll('SELECT * FROM rule_stats ORDER BY hits DESC, trigger');
+    const contactRows = await queryAll('SELECT * FROM contact_stats ORDER BY messages DESC, replies DESC LIMIT ?', [STATS_TOP_COUNT]);
+    const dayRows = await queryAll(`SELECT date(created_at) AS day,
+            SUM(direction = 'in') AS received, SUM(direction = 'out') AS sent
+            FROM messages WHERE created_at >= date('now', ?) GROUP BY day ORDER BY day`, [`-${STATS_DAYS - 1} days`]);
+    
+    const hitsByTrigger = {};
+    ruleRows.forEach(row => {
+        hitsByTrigger[row.trigger] = row;
+    });
+    const current = ruleRows.filter(row => rules[row.trigger] && row.hits > 0);
+    
+    return {
+        rules: {
+            total: Object.keys(rules).length,
+            top: current.slice(0, STATS_TOP_COUNT).map(row => ({
+                trigger: row.trigger,
+                hits: row.hits,
+                failures: row.failures,
+                lastFiredAt: row.last_fired_at
+            })),
+            unused: sortRules(rules)
+                .filter(rule => !hitsByTrigger[rule.trigger] || hitsByTrigger[rule.trigger].hits === 0)
+                .map(rule => rule.trigger),
+            failures: current.reduce((sum, row) => sum + row.failures, 0)
+        },
+        contacts: contactRows.map(row => ({
+            contact: row.contact,
+            messages: row.messages,
+            replies: row.replies,
+            failures: row.failures,
+            lastMessageAt: row.last_message_at
+        })),
+        messagesPerDay: dayRows.map(row => ({ day: row.day, received: row.received, sent: row.sent }))
+    };
+}
+
+// /stats - top rules, unused rules, busiest contacts and messages per day
+bot.onText(/^\/stats$/, async (msg) => {
+    const chatId = msg.chat.id;
+    if (!isAdmin(chatId)) {
+        bot.sendMessage(chatId, "❌ You don't have permission to view statistics.");
+        return;
+    }
+    
+    const stats = await getStats();
+    let text = `📊 Statistics\n\n🏆 Top rules (${stats.rules.total} rules, ${stats.rules.failures} failed replies):\n`;
+    text += stats.rules.top.length > 0
+        ? stats.rules.top.map((rule, i) => `${i + 1}. "${rule.trigger}" - ${rule.hits} hits${rule.failures ? `, ${rule.failures} failed` : ''}, last ${rule.lastFiredAt}`).join('\n')
+        : 'No rule has fired yet.';
+    
+    if (stats.rules.unused.length > 0) {
+        const shown = stats.rules.unused.slice(0, 20).map(trigger => `"${trigger}"`).join(', ');
+        text += `\n\n💤 Never fired (${stats.rules.unused.length}): ${shown}${stats.rules.unused.length > 20 ? ', …' : ''}`;
+    }
+    
+    if (stats.contacts.length > 0) {
+        text += `\n\n👥 Busiest contacts:\n`;
+        text += stats.contacts.map((contact, i) =>
+            `${i + 1}. ${formatHistoryContact(contact.contact)} - ${contact.messages} messages, ${contact.replies} auto-replies${contact.failures ? `, ${contact.failures} failed` : ''}`).join('\n');
+    }
+    
+    if (stats.messagesPerDay.length > 0) {
+        text += `\n\n📅 Messages per day (UTC, last ${STATS_DAYS} days):\n`;
+        text += stats.messagesPerDay.map(day => `${day.day}: ${day.received} in, ${day.sent} out`).join('\n');
+    }
+    bot.sendMessage(chatId, text);
+});
+
+// GET /stats - the same statistics as JSON, protected by API_TOKEN
+app.get('/stats', requireApiToken, async (req, res) => {
+    res.json(await getStats());
+});
+
 // --- SEND COMMAND ---
-// Format: /send <number> "message"
+// Format: /send <number|group> "message"
+//         /send <number|group> ["caption"] as a reply to a photo, document, voice note, audio, video or location
 // Handles phone numbers with +91 as default country code
-bot.onText(/^\/send\s+(\d+)\s+"([^"]+)"/, async (msg, match) => {
+bot.onText(/^\/send\s+(\+?\d+|[A-Za-z][\w:-]*)(?:\s+"([^"]+)")?\s*$/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    if (!isAdmin(chatId)) {
+        bot.sendMessage(chatId, "❌ You don't have permission to send messages.");
+        return;
+    }
+    const text = match[2] || ''; // Message text, or the media caption
+
+    try {
+        const attachment = msg.reply_to_message ? await saveTelegramAttachment(msg.reply_to_message) : null;
+        if (!text && !attachment) {
+            bot.sendMessage(chatId, '⚠️ Usage: /send <number|group> "message", or reply to a photo, document, voice note or location with /send <number|group> ["caption"]');
+            return;
+        }
+        
+        const result = await queueMessage(match[1], text, attachment);
+        if (result.error) {
+            bot.sendMessage(chatId, `❌ ${result.error}`);
+            return;
+        }
+        const content = attachment ? `${describeAttachment(attachment)}${text ? ` "${text}"` : ''}` : `"${text}"`;
+
+        // Messages go through the outbox, so they also wait out a WhatsApp reconnect
+        const notReady = !client || !client.info ? '\n\n⏳ WhatsApp is not connected; it will be sent once it is.' : '';
+
+        if (!result.recipient.startsWith('group:')) {
+            const number = result.recipient;
+            if (result.notRegistered.length > 0) {
+                bot.sendMessage(chatId, `❌ Number "${number}" is not registered on WhatsApp.`);
+            } else if (result.failed.length > 0) {
+                bot.sendMessage(chatId, `⚠️ Failed to send message: ${result.failed[0].error}`);
+            } else {
+                bot.sendMessage(chatId, `✅ Message #${result.queued[0].id} queued for +${number}:\n${content}${notReady}`);
+            }
+            return;
+        }
+
+        // Group: one message per member, placeholders rendered per recipient
+        const total = result.queued.length + result.notRegistered.length + result.failed.length;
+        const failed = [
+            ...result.notRegistered.map(number => `+${number} (not on WhatsApp)`),
+            ...result.failed.map(({ number, error }) => `+${number} (${error})`)
+        ];
+        let reply = `✅ Message queued for ${result.queued.length}/${total} members of ${formatRecipient(result.recipient)}:\n${content}${notReady}`;
+        if (failed.length > 0) {
+            reply += `\n\n⚠️ Not queued for:\n${failed.join('\n')}`;
+        }
+        bot.sendMessage(chatId, reply);
+        
+    } catch (err) {
+        console.error('Send error:', err);
+        bot.sendMessage(chatId, `⚠️ Failed to send message: ${err.message}`);
+    }
+});
+
+// /queue                          - pending and failed outbox messages
+// /queue purge [pending|failed|<id>] - delete queued messages (default: all pending)
+// /queue rate <per minute>        - global send cap (0 disables)
+// /queue spacing <seconds>        - minimum gap between messages to the same chat
+bot.onText(/^\/queue(?:\s+(.+))?$/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    if (!isAdmin(chatId)) {
+        bot.sendMessage(chatId, "❌ You don't have permission to manage the queue.");
+        return;
+    }
+    
+    const args = (match[1] || '').trim().toLowerCase();
+    
+    if (!args) {
+        const { counts, pending, failed } = await getOutboxSummaryFromDb();
+        const { ratePerMinute, spacingSeconds, maxAttempts } = getOutboxSettings();
+        const count = (status) => (counts.find(row => row.status === status) || { count: 0 }).count;
+        let text = `📮 Outbox: ${count('pending')} pending, ${count('sent')} sent, ${count('failed') + count('not-registered')} failed\n` +
+            `Limits: ${ratePerMinute > 0 ? `${ratePerMinute}/min` : 'no cap'}, ${spacingSeconds}s between messages to a chat, ${maxAttempts} attempts\n`;
+        if (!client || !client.info) {
+            text += `⏳ WhatsApp is not connected; pending messages wait for it.\n`;
+        }
+        if (pending.length > 0) {
+            text += `\nNext pending:\n`;
+            pending.forEach(item => {
+                const retry = item.attempts > 0 ? ` - retry ${item.attempts}, ${item.last_error}` : '';
+                const media = item.attachment ? ` ${describeAttachment(parseAttachment(item.attachment))}` : '';
+                text += `• #${item.id} → ${formatOutboxChat(item.chat_id)} (${item.source})${retry}: "${item.text.slice(0, 40)}"${media}\n`;
+            });
+        }
+        if (failed.length > 0) {
+            text += `\nRecently failed:\n`;
+            failed.forEach(item => {
+                text += `• #${item.id} → ${formatOutboxChat(item.chat_id)} (${item.source}): ${item.status === 'not-registered' ? 'not on WhatsApp' : item.last_error}\n`;
+            });
+        }
+        bot.sendMessage(chatId, text);
+        return;
+    }
+    
+    let parts = args.match(/^purge(?:\s+(pending|failed|\d+))?$/);
+    if (parts) {
+        const target = parts[1] || 'pending';
+        const purged = await purgeOutboxFromDb(target);
+        if (!purged) {
+            bot.sendMessage(chatId, '❌ Failed to purge the queue.');
+            return;
+        }
+        if (purged.length === 0) {
+            bot.sendMessage(chatId, /^\d+$/.test(target) ? `⚠️ No queued message #${target}.` : `📭 No ${target} messages to purge.`);
+            return;
+        }
+        // Scheduled runs that never went out are logged as failed, and running broadcasts count them as failed
+        for (const item of purged) {
+            if (item.status !== 'pending' || !item.source_id) continue;
+            if (item.source === 'schedule') {
+                await updateScheduleRun(item.source_id, 'failed', 'Purged from queue');
+            } else if (item.source === 'broadcast') {
+                onBroadcastResult(item, 'failed', 'Purged from queue');
+            } else if (item.source === 'auto-reply') {
+                releaseReply(item.reply_log_id);
+            }
+        }
+        bot.sendMessage(chatId, `🗑️ Purged ${purged.length} message(s) from the queue.`);
+        return;
+    }
+    
+    parts = args.match(/^(rate|spacing)\s+(\d+)$/);
+    if (parts) {
+        const key = parts[1] === 'rate' ? 'outbox_rate_per_minute' : 'outbox_spacing_seconds';
+        const success = await saveSettingToDb(key, parseInt(parts[2]));
+        const { ratePerMinute, spacingSeconds } = getOutboxSettings();
+        bot.sendMessage(chatId, !success
+            ? '❌ Failed to save queue setting to database.'
+            : parts[1] === 'rate'
+                ? (ratePerMinute > 0 ? `✅ Sending at most ${ratePerMinute} messages per minute.` : '✅ Send rate cap disabled.')
+                : `✅ At least ${spacingSeconds}s between messages to the same chat.`);
+        return;
+    }
+    
+    bot.sendMessage(chatId, '⚠️ Usage: /queue, /queue purge [pending|failed|<id>], /queue rate <per minute>, /queue spacing <seconds>');
+});
+
+// --- BROADCAST ---
+// /broadcast queues one message per recipient with a random pause between them, skipping
+// numbers that are not on WhatsApp. Progress is kept in memory; the admin who started it
+// gets a summary once every queued message has been sent or has failed.
+const DEFAULT_BROADCAST_MIN_DELAY_SECONDS = 5;
+const DEFAULT_BROADCAST_MAX_DELAY_SECONDS = 15;
+const broadcasts = {};
+let lastBroadcastId = 0;
+
+function getBroadcastDelayMs() {
+    const min = getNumberSetting('broadcast_min_delay_seconds', DEFAULT_BROADCAST_MIN_DELAY_SECONDS);
+    const max = Math.max(min, getNumberSetting('broadcast_max_delay_seconds', DEFAULT_BROADCAST_MAX_DELAY_SECONDS));
+    return (min + Math.random() * (max - min)) * 1000;
+}
+
+// Parse "group", "9876543210" or "9876543210,group:team,..." into unique numbers, or { error }
+function parseBroadcastRecipients(list) {
+    const numbers = new Set();
+    for (const token of list.split(',').map(part => part.trim()).filter(Boolean)) {
+        const recipient = parseRecipient(token);
+        if (!recipient) {
+            return { error: `"${token}" is not a number or contact group.` };
+        }
+        resolveRecipients(recipient).forEach(number => numbers.add(number));
+    }
+    return { numbers: [...numbers] };
+}
+
+function finishBroadcastIfDone(broadcast) {
+    if (!broadcast.queuingDone || broadcast.outstanding > 0) return;
+    delete broadcasts[broadcast.id];
+    
+    let text = `📣 Broadcast #${broadcast.id} ${broadcast.cancelled ? 'cancelled' : 'finished'}:\n` +
+        `• Sent: ${broadcast.sent}\n` +
+        `• Failed: ${broadcast.failed.length}\n` +
+        `• Skipped (not on WhatsApp): ${broadcast.skipped.length}\n`;
+    if (broadcast.cancelled) {
+        text += `• Not sent (cancelled): ${broadcast.total - broadcast.sent - broadcast.failed.length - broadcast.skipped.length}\n`;
+    }
+    if (broadcast.failed.length > 0) {
+        text += `\nFailed:\n${broadcast.failed.join('\n')}\n`;
+    }
+    if (broadcast.skipped.length > 0) {
+        text += `\nSkipped:\n${broadcast.skipped.map(number => `+${number}`).join(', ')}`;
+    }
+    bot.sendMessage(broadcast.chatId, text);
+}
+
+// Outbox callback for broadcast messages
+function onBroadcastResult(item, status, error) {
+    const broadcast = broadcasts[item.source_id];
+    if (!broadcast) return;
+    const number = item.chat_id.replace('@c.us', '');
+    broadcast.outstanding--;
+    if (status === 'sent') {
+        broadcast.sent++;
+    } else if (status === 'not-registered') {
+        broadcast.skipped.push(number);
+    } else {
+        broadcast.failed.push(`+${number} (${error || status})`);
+    }
+    finishBroadcastIfDone(broadcast);
+}
+
+async function runBroadcast(broadcast, numbers, text) {
+    for (let i = 0; i < numbers.length && !broadcast.cancelled; i++) {
+        const number = numbers[i];
+        try {
+            const numberId = client && client.info ? await client.getNumberId(number) : null;
+            // /cancelbroadcast may have purged the outbox while the lookup was running
+            if (broadcast.cancelled) break;
+            if (!numberId) {
+                broadcast.skipped.push(number);
+            } else {
+                const id = await enqueueOutboxMessage({
+                    chatId: `${number}@c.us`,
+                    text,
+                    render: true,
+                    source: 'broadcast',
+                    sourceId: String(broadcast.id)
+                });
+                if (id && broadcast.cancelled) {
+                    // Cancelled while the message was being added, after the purge ran
+                    await purgeOutboxFromDb(id);
+                    break;
+                }
+                if (id) {
+                    broadcast.outstanding++;
+                    broadcast.queued.push(id);
+                } else {
+                    broadcast.failed.push(`+${number} (could not queue)`);
+                }
+            }
+        } catch (err) {
+            console.error(`⚠️ Broadcast #${broadcast.id} error for +${number}:`, err);
+            broadcast.failed.push(`+${number} (${err.message})`);
+        }
+        
+        // Random pause before the next recipient; a cancel ends the wait early
+        if (i < numbers.length - 1 && !broadcast.cancelled) {
+            await new Promise(resolve => {
+                broadcast.wake = resolve;
+                setTimeout(resolve, getBroadcastDelayMs());
+            });
+            broadcast.wake = null;
+        }
+    }
+    broadcast.queuingDone = true;
+    console.log(`📣 Broadcast #${broadcast.id} queued ${broadcast.queued.length}/${numbers.length} messages`);
+    finishBroadcastIfDone(broadcast);
+}
+
+// /broadcast <group|number,number,...> "message"
+// /broadcast delay <min> <max> - random pause between recipients, in seconds
+bot.onText(/^\/broadcast(?:\s+(.+))?$/s, async (msg, match) => {
+    const chatId = msg.chat.id;
+    if (!isAdmin(chatId)) {
+        bot.sendMessage(chatId, "❌ You don't have permission to send broadcasts.");
+        return;
+    }
+    
+    const args = (match[1] || '').trim();
+    const delayArgs = args.match(/^delay\s+(\d+)\s+(\d+)$/);
+    if (delayArgs) {
+        const [min, max] = [parseInt(delayArgs[1]), parseInt(delayArgs[2])].sort((a, b) => a - b);
+        const success = await saveSettingToDb('broadcast_min_delay_seconds', min) &&
+            await saveSettingToDb('broadcast_max_delay_seconds', max);
+        bot.sendMessage(chatId, success
+            ? `✅ Broadcasts pause ${min}-${max}s between recipients.`
+            : '❌ Failed to save broadcast delay to database.');
+        return;
+    }
+    
+    const parts = args.match(/^([^\s"]+)\s+"([^"]+)"$/s);
+    if (!parts) {
+        const active = Object.values(broadcasts);
+        let text = '⚠️ Usage: /broadcast <group|number,number,...> "message"\n/broadcast delay <min> <max>';
+        if (active.length > 0) {
+            text += `\n\n📣 Running: ${active.map(broadcast => `#${broadcast.id} (${broadcast.queued.length + broadcast.skipped.length}/${broadcast.total})`).join(', ')}`;
+        }
+        bot.sendMessage(chatId, text);
+        return;
+    }
+    
+    const text = parts[2];
+    const templateError = validateTemplate(text, null);
+    if (templateError) {
+        bot.sendMessage(chatId, `❌ ${templateError}`);
+        return;
+    }
+    const recipients = parseBroadcastRecipients(parts[1]);
+    if (recipients.error) {
+        bot.sendMessage(chatId, `❌ ${recipients.error}`);
+        return;
+    }
+    if (recipients.numbers.length === 0) {
+        bot.sendMessage(chatId, '⚠️ No recipients to broadcast to.');
+        return;
+    }
+    // Registration checks need WhatsApp
+    if (!client || !client.info) {
+        bot.sendMessage(chatId, '❌ WhatsApp client is not ready. Please scan the QR code first.');
+        return;
+    }
+    
+    const broadcast = {
+        id: ++lastBroadcastId,
+        chatId,
+        total: recipients.numbers.length,
+        queued: [],
+        outstanding: 0,
+        sent: 0,
+        failed: [],
+        skipped: [],
+        cancelled: false,
+        queuingDone: false,
+        wake: null
+    };
+    broadcasts[broadcast.id] = broadcast;
+    
+    const min = getNumberSetting('broadcast_min_delay_seconds', DEFAULT_BROADCAST_MIN_DELAY_SECONDS);
+    const max = Math.max(min, getNumberSetting('broadcast_max_delay_seconds', DEFAULT_BROADCAST_MAX_DELAY_SECONDS));
+    bot.sendMessage(chatId, `📣 Broadcast #${broadcast.id} started to ${broadcast.total} recipient(s), ${min}-${max}s apart.\n` +
+        `Use /cancelbroadcast ${broadcast.id} to stop it.`);
+    runBroadcast(broadcast, recipients.numbers, text);
+});
+
+// /cancelbroadcast [id] - stop a running broadcast (the latest one without an id)
+bot.onText(/^\/cancelbroadcast(?:\s+#?(\d+))?$/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    if (!isAdmin(chatId)) {
+        bot.sendMessage(chatId, "❌ You don't have permission to send broadcasts.");
+        return;
+    }
+    
+    const ids = Object.keys(broadcasts).map(Number);
+    const id = match[1] ? parseInt(match[1]) : Math.max(...ids);
+    const broadcast = broadcasts[id];
+    if (!broadcast) {
+        bot.sendMessage(chatId, ids.length === 0 ? '📭 No broadcast is running.' : `⚠️ No running broadcast #${match[1]}.`);
+        return;
+    }
+    
+    broadcast.cancelled = true;
+    if (broadcast.wake) broadcast.wake();
+    
+    // Messages still waiting in the outbox are dropped too
+    const purged = await purgeOutboxFromDb(`broadcast:${id}`);
+    if (purged) {
+        broadcast.outstanding -= purged.length;
+    }
+    bot.sendMessage(chatId, `🛑 Cancelling broadcast #${id}...`);
+    finishBroadcastIfDone(broadcast);
+});
+
+// --- TELEGRAM AUTO-REPLY SYSTEM ---
+// Auto-reply to all text messages based on rules
+bot.on('message', async (msg) => {
+    // Skip if it's a command or not a text message
+    if (!msg.text || msg.text.startsWith('/')) return;
+    
+    const chatId = msg.chat.id;
+    
+    // Replies to relayed WhatsApp messages go back to WhatsApp instead
+    if (msg.reply_to_message && await getRelayMappingFromDb(chatId, msg.reply_to_message.message_id)) return;
+    
+    const contact = telegramContact(chatId);
+    logMessage({ channel: 'telegram', direction: 'in', chatId, contact, body: msg.text, source: 'inbound' });
+    incrementMetric('messages_received_total', { channel: 'telegram' });
+    recordContactMessage(contact);
+    
+    // Check rules for matches (first matching rule only)
+    const matched = findMatchingRule(rules, msg.text, { channel: 'telegram', contact });
+    if (matched) {
+        const { rule, match } = matched;
+        
+        const check = await reserveReply(contact, rule);
+        if (!check.allowed) {
+            console.log(`🧊 Not replying to ${contact}: ${check.reason}`);
+            return;
+        }
+        recordRuleHit(rule.trigger, contact);
+        
+        const replyText = renderTemplate(pickReply(rule, contact), {
+            name: msg.from ? msg.from.first_name : '',
+            trigger: rule.trigger,
+            match
+        });
+        try {
+            if (rule.attachment) {
+                await sendTelegramAttachment(chatId, rule.attachment, replyText);
+            } else {
+                await bot.sendMessage(chatId, replyText);
+            }
+        } catch (err) {
+            console.error('⚠️ Error sending Telegram auto-reply:', err);
+            recordRuleFailure(rule.trigger, contact);
+            releaseReply(check.replyLogId);
+            incrementMetric('send_failures_total', { channel: 'telegram', source: 'auto-reply' });
+            return;
+        }
+        incrementMetric('messages_replied_total', { channel: 'telegram' });
+        emitWebhookEvent('autoreply.sent', {
+            channel: 'telegram',
+            chatId,
+            source: 'auto-reply',
+            rule: rule.trigger,
+            text: replyText,
+            media: rule.attachment ? describeAttachment(rule.attachment) : null
+        });
+        logMessage({
+            channel: 'telegram',
+            direction: 'out',
+            chatId,
+            contact,
+            body: replyText,
+            media: rule.attachment ? describeAttachment(rule.attachment) : null,
+            source: 'auto-reply',
+            rule: rule.trigger
+        });
+        console.log(`📤 Auto-replied to "${msg.text}" with rule "${rule.trigger}" [${rule.matchType}] → "${replyText}"`);
+    }
+});
+
+// --- SHARED ADMIN OPERATIONS ---
+// Rule, number, schedule and send operations used by both the Telegram commands and the
+// REST API, so input is validated the same way. They resolve with a result object, or with
+// { error, code } where code is one of OPERATION_ERROR_STATUS.
+const OPERATION_ERROR_STATUS = { 'invalid': 400, 'not-found': 404, 'conflict': 409, 'db': 500 };
+
+function operationError(code, error) {
+    return { error, code };
+}
+
+function isNonEmptyString(value) {
+    return typeof value === 'string' && value.trim().length > 0;
+}
+
+// Add a rule, or replace the reply and match type of an existing trigger (unless replace is false)
+async function addRule({ trigger, reply, matchType }, { replace = true } = {}) {
+    if (!isNonEmptyString(trigger) || !isNonEmptyString(reply)) {
+        return operationError('invalid', 'A trigger and a reply are required.');
+    }
+    matchType = String(matchType || DEFAULT_MATCH_TYPE).toLowerCase();
+    const key = normalizeTrigger(trigger, matchType);
+    const error = validateRuleTrigger(key, matchType) || validateTemplate(reply, { trigger: key, matchType });
+    if (error) {
+        return operationError('invalid', error);
+    }
+    if (!replace && rules[key]) {
+        return operationError('conflict', `Rule "${key}" already exists.`);
+    }
+    
+    // Re-adding an existing trigger keeps its priority, cooldown and active hours
+    const existing = rules[key] || { priority: 0 };
+    const saved = await new Promise(resolve => saveRuleToDB({ ...existing, trigger: key, reply, matchType }, resolve));
+    if (!saved) {
+        return operationError('db', 'Failed to save rule to database.');
+    }
+    return { rule: rules[key] };
+}
+
+// Change a rule's reply, match type and/or priority
+async function editRule(triggerInput, { reply, matchType, priority }) {
+    const trigger = resolveRuleKey(String(triggerInput));
+    const oldRule = await new Promise(resolve => getRuleFromDB(trigger, resolve));
+    if (!oldRule) {
+        return operationError('not-found', `Rule "${trigger}" not found.`);
+    }
+    if (reply !== undefined && !isNonEmptyString(reply)) {
+        return operationError('invalid', 'The reply must be a non-empty string.');
+    }
+    if (priority !== undefined && !Number.isInteger(priority)) {
+        return operationError('invalid', 'The priority must be a whole number.');
+    }
+    
+    const updated = {
+        ...oldRule,
+        reply: reply === undefined ? oldRule.reply : reply,
+        matchType: matchType ? String(matchType).toLowerCase() : oldRule.matchType,
+        priority: priority === undefined ? oldRule.priority : priority
+    };
+    const error = validateRuleTrigger(trigger, updated.matchType) ||
+        validateTemplate(updated.reply, { trigger, matchType: updated.matchType });
+    if (error) {
+        return operationError('invalid', error);
+    }
+    
+    const saved = await new Promise(resolve => saveRuleToDB(updated, resolve));
+    if (!saved) {
+        return operationError('db', 'Failed to update rule in database.');
+    }
+    return { rule: rules[trigger], oldRule };
+}
+
+async function deleteRule(triggerInput) {
+    const trigger = resolveRuleKey(String(triggerInput));
+    const deleted = await new Promise(resolve => deleteRuleFromDB(trigger, resolve));
+    if (!deleted) {
+        return operationError('not-found', `Rule "${trigger}" not found.`);
+    }
+    return { trigger };
+}
+
+// Authorize a number or "91*" style prefix (+91 is added to numbers without a country code)
+async function addAuthorizedNumber(input) {
+    if (!/^\+?\d+\*?$/.test(String(input))) {
+        return operationError('invalid', `"${input}" is not a number or prefix like 91*.`);
+    }
+    const number = normalizeNumberPattern(String(input));
+    if (authorizedNumbers.includes(number)) {
+        return operationError('conflict', `Number +${number} is already authorized.`);
+    }
+    if (!(await saveAuthorizedNumberToDb(number))) {
+        return operationError('db', `Failed to add number +${number} to database.`);
+    }
+    authorizedNumbers.push(number);
+    return { number };
+}
+
+async function removeAuthorizedNumber(input) {
+    if (!/^\+?\d+\*?$/.test(String(input))) {
+        return operationError('invalid', `"${input}" is not a number or prefix like 91*.`);
+    }
+    const number = normalizeNumberPattern(String(input));
+    const index = authorizedNumbers.indexOf(number);
+    if (index === -1) {
+        return operationError('not-found', `Number +${number} is not in the authorized list.`);
+    }
+    if (!(await removeAuthorizedNumberFromDb(number))) {
+        return operationError('db', `Failed to remove number +${number} from database.`);
+    }
+    authorizedNumbers.splice(index, 1);
+    // Groups only hold authorized numbers
+    await removeGroupMemberFromDb(null, number);
+    for (const members of Object.values(contactGroups)) {
+        if (members.includes(number)) members.splice(members.indexOf(number), 1);
+    }
+    return { number };
+}
+
+// Create a schedule from "<recipient>", "text" and "<when> [tz <Area/City>]" as typed in /schedule
+async function createScheduleFromInput({ recipient, text, when }) {
+    const number = recipient === undefined || recipient === null ? null : parseRecipient(String(recipient));
+    if (!number) {
+        return operationError('invalid', `"${recipient}" is not a number or contact group.`);
+    }
+    if (!isNonEmptyString(text)) {
+        return operationError('invalid', 'The message text is required.');
+    }
+    const templateError = validateTemplate(text, null);
+    if (templateError) {
+        return operationError('invalid', templateError);
+    }
+    if (!isNonEmptyString(when)) {
+        return operationError('invalid', 'The schedule time is required.');
+    }
+    const parsed = parseScheduleSpec(when, number);
+    if (parsed.error) {
+        return operationError('invalid', parsed.error);
+    }
+    
+    const schedule = { number, text, ...parsed, paused: false };
+    const id = generateScheduleId();
+    if (!(await saveScheduleToDb(id, schedule))) {
+        return operationError('db', 'Failed to save schedule to database.');
+    }
+    schedules[id] = schedule;
+    createSchedule(id, schedule);
+    return { id, schedule };
+}
+
+// Change a schedule's text, time and/or paused state
+async function updateScheduleFromInput(idInput, { text, when, paused }) {
+    const id = String(idInput).toLowerCase();
+    const schedule = schedules[id];
+    if (!schedule) {
+        return operationError('not-found', `No schedule with ID ${id}.`);
+    }
+    if (text === undefined && when === undefined && paused === undefined) {
+        return operationError('invalid', 'Nothing to update: give text, when or paused.');
+    }
+    
+    const updated = { ...schedule };
+    if (text !== undefined) {
+        if (!isNonEmptyString(text)) {
+            return operationError('invalid', 'The message text must be a non-empty string.');
+        }
+        const templateError = validateTemplate(text, null);
+        if (templateError) {
+            return operationError('invalid', templateError);
+        }
+        updated.text = text;
+    }
+    if (when !== undefined) {
+        const parsed = isNonEmptyString(when) ? parseScheduleSpec(when, schedule.number, schedule.timezone) : { error: 'The schedule time must be a non-empty string.' };
+        if (parsed.error) {
+            return operationError('invalid', parsed.error);
+        }
+        Object.assign(updated, parsed);
+    }
+    if (paused !== undefined) {
+        if (typeof paused !== 'boolean') {
+            return operationError('invalid', 'paused must be true or false.');
+        }
+        updated.paused = paused;
+    }
+    
+    if (!(await saveScheduleToDb(id, updated))) {
+        return operationError('db', 'Failed to save schedule to database.');
+    }
+    schedules[id] = updated;
+    restartSchedule(id);
+    return { id, schedule: updated };
+}
+
+async function cancelScheduleById(idInput) {
+    const id = String(idInput).toLowerCase();
+    const schedule = schedules[id];
+    if (!schedule) {
+        return operationError('not-found', `No schedule with ID ${id}.`);
+    }
+    if (!(await deleteSchedule(id))) {
+        return operationError('db', 'Failed to remove schedule from database.');
+    }
+    return { id, schedule };
+}
+
+// Queue a message (with an optional attachment) for a number or every member of a contact group
+async function queueMessage(recipientInput, text, attachment = null) {
+    const recipient = recipientInput === undefined || recipientInput === null ? null : parseRecipient(String(recipientInput));
+    if (!recipient) {
+        return operationError('invalid', `"${recipientInput}" is not a number or contact group.`);
+    }
+    const numbers = resolveRecipients(recipient);
+    if (numbers.length === 0) {
+        return operationError('invalid', `${formatRecipient(recipient)} has no members.`);
+    }
+    if (text !== undefined && text !== null && typeof text !== 'string') {
+        return operationError('invalid', 'The message text must be a string.');
+    }
+    text = text || '';
+    if (!text.trim() && !attachment) {
+        return operationError('invalid', 'The message text is required.');
+    }
+    const templateError = validateTemplate(text, null);
+    if (templateError) {
+        return operationError('invalid', templateError);
+    }
+    
+    // Placeholders are rendered per recipient when each message leaves the outbox
+    const result = { recipient, queued: [], notRegistered: [], failed: [] };
+    for (const number of numbers) {
+        try {
+            const sent = await sendTextToNumber(number, text, 'send', null, attachment);
+            if (sent.status === 'not-registered') {
+                result.notRegistered.push(number);
+            } else {
+                result.queued.push({ number, id: sent.id });
+            }
+        } catch (err) {
+            console.error(`Send error for +${number}:`, err);
+            result.failed.push({ number, error: err.message });
+        }
+    }
+    return result;
+}
+
+// --- RULE MANAGEMENT COMMANDS ---
+// List rules
+// Format: /listrules [whatsapp|telegram|<number>|<group>|tg:<chat id>]
+bot.onText(/\/listrules(?:\s+(\S+))?/, (msg, match) => {
+    const chatId = msg.chat.id;
+    if (!isAdmin(chatId)) {
+        bot.sendMessage(chatId, "❌ You don't have permission to manage rules.");
+        return;
+    }
+    
+    // Optional filter: rules that apply to a channel, or could fire for a contact
+    const filter = match[1] ? match[1].toLowerCase() : null;
+    let inFilter = () => true;
+    if (filter && CHANNELS.includes(filter)) {
+        inFilter = rule => !rule.channels || rule.channels.includes(filter);
+    } else if (filter && filter.startsWith('tg:')) {
+        inFilter = rule => isRuleInScope(rule, { channel: 'telegram', contact: filter });
+    } else if (filter && /^\+?\d+$/.test(filter)) {
+        inFilter = rule => isRuleInScope(rule, { channel: 'whatsapp', contact: normalizeNumber(filter) });
+    } else if (filter && contactGroups[filter]) {
+        inFilter = rule => !!rule.contacts && rule.contacts.includes(`group:${filter}`);
+    } else if (filter) {
+        bot.sendMessage(chatId, '⚠️ Usage: /listrules [whatsapp|telegram|<number>|<group>|tg:<chat id>]');
+        return;
+    }
+    
+    loadRulesFromDB((rules) => {
+        const listed = sortRules(rules).filter(inFilter);
+        if (listed.length === 0) {
+            bot.sendMessage(chatId, filter ? `📭 No rules apply to ${filter}.` : "📭 No rules saved yet.");
+        } else {
+            let text = `📜 Saved Rules${filter ? ` for ${filter}` : ''} (in matching order):\n\n`;
+            let count = 1;
+            for (const rule of listed) {
+                const extra = rule.variants.length > 0 ? ` (+${rule.variants.length} more)` : '';
+                const activity = describeRuleActivity(rule);
+                const media = rule.attachment ? ` ${describeAttachment(rule.attachment)}` : '';
+                text += `${count}. [${rule.matchType}, p${rule.priority}, ${describeRuleScope(rule)}] "${rule.trigger}" → "${rule.reply}"${media}${extra}${activity ? ` ⏰ ${activity}` : ''}\n`;
+                count++;
+            }
+            bot.sendMessage(chatId, text);
+        }
+    });
+});
+
+// Resolve the stored key for a trigger typed in a command (regex triggers keep their case)
+function resolveRuleKey(trigger) {
+    return rules[trigger] ? trigger : trigger.toLowerCase();
+}
+
+// Add rule
+// Format: /addrule "trigger" "reply" [contains|word|exact|startswith|regex]
+bot.onText(/\/addrule\s*"([^"]+)"\s*"([^"]+)"(?:\s+(\w+))?/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    if (!isAdmin(chatId)) {
+        bot.sendMessage(chatId, "❌ You don't have permission to manage rules.");
+        return;
+    }
+    
+    const result = await addRule({ trigger: match[1], reply: match[2], matchType: match[3] });
+    if (result.error) {
+        bot.sendMessage(chatId, `❌ ${result.error}`);
+        return;
+    }
+    const { trigger, reply, matchType } = result.rule;
+    bot.sendMessage(chatId, `✅ Rule added:\nTrigger: "${trigger}"\nMatch: ${matchType} (${MATCH_TYPES[matchType]})\nReply: "${reply}"`);
+});
+
+// Delete rule
+bot.onText(/\/deleterule\s*"([^"]+)"/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    if (!isAdmin(chatId)) {
+        bot.sendMessage(chatId, "❌ You don't have permission to manage rules.");
+        return;
+    }
+    
+    const result = await deleteRule(match[1]);
+    bot.sendMessage(chatId, result.error
+        ? `⚠️ ${result.error}`
+        : `🗑️ Rule "${result.trigger}" deleted successfully.`);
+});
+
+// Edit rule
+// Format: /editrule "trigger" "new_reply" [match_type]
+bot.onText(/\/editrule\s*"([^"]+)"\s*"([^"]+)"(?:\s+(\w+))?/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    if (!isAdmin(chatId)) {
+        bot.sendMessage(chatId, "❌ You don't have permission to manage rules.");
+        return;
+    }
+    
+    const result = await editRule(match[1], { reply: match[2], matchType: match[3] });
+    if (result.code === 'not-found') {
+        bot.sendMessage(chatId, `⚠️ ${result.error} Use /addrule to create a new rule.`);
+        return;
+    }
+    if (result.error) {
+        bot.sendMessage(chatId, `❌ ${result.error}`);
+        return;
+    }
+    const { rule, oldRule } = result;
+    bot.sendMessage(chatId, `✏️ Rule updated:\nTrigger: "${rule.trigger}"\nMatch: ${rule.matchType}\nOld reply: "${oldRule.reply}"\nNew reply: "${rule.reply}"`);
+});
+
+// Set rule priority (higher numbers are checked first)
+// Format: /setpriority "trigger" <number>
+bot.onText(/\/setpriority\s*"([^"]+)"\s+(-?\d+)/, (msg, match) => {
+    const chatId = msg.chat.id;
+    if (!isAdmin(chatId)) {
+        bot.sendMessage(chatId, "❌ You don't have permission to manage rules.");
+        return;
+    }
+    
+    const trigger = resolveRuleKey(match[1]);
+    const priority = parseInt(match[2]);
+
+    getRuleFromDB(trigger, (rule) => {
+        if (!rule) {
+            bot.sendMessage(chatId, `⚠️ Rule "${trigger}" not found.`);
+            return;
+        }
+        saveRuleToDB({ ...rule, priority }, (success) => {
+            if (success) {
+                bot.sendMessage(chatId, `🔢 Rule "${trigger}" priority set to ${priority}.`);
+            } else {
+                bot.sendMessage(chatId, "❌ Failed to update rule priority in database.");
+            }
+        });
+    });
+});
+
+// Move a rule within the matching order; all priorities are renumbered to keep the order explicit
+// Format: /moverule "trigger" up|down|top|bottom
+bot.onText(/\/moverule\s*"([^"]+)"\s+(up|down|top|bottom)/, (msg, match) => {
+    const chatId = msg.chat.id;
+    if (!isAdmin(chatId)) {
+        bot.sendMessage(chatId, "❌ You don't have permission to manage rules.");
+        return;
+    }
+    
+    const trigger = resolveRuleKey(match[1]);
+    const direction = match[2];
+
+    loadRulesFromDB((loadedRules) => {
+        const ordered = sortRules(loadedRules);
+        const index = ordered.findIndex(rule => rule.trigger === trigger);
+        if (index === -1) {
+            bot.sendMessage(chatId, `⚠️ Rule "${trigger}" not found.`);
+            return;
+        }
+
+        const [rule] = ordered.splice(index, 1);
+        const targets = { up: Math.max(index - 1, 0), down: Math.min(index + 1, ordered.length), top: 0, bottom: ordered.length };
+        ordered.splice(targets[direction], 0, rule);
+
+        const priorities = {};
+        ordered.forEach((r, i) => {
+            priorities[r.trigger] = ordered.length - i;
+        });
+
+        updateRulePrioritiesInDB(priorities, (success) => {
+            if (success) {
+                bot.sendMessage(chatId, `↕️ Rule "${trigger}" is now #${ordered.indexOf(rule) + 1} of ${ordered.length} in matching order.`);
+            } else {
+                bot.sendMessage(chatId, "❌ Failed to reorder rules in database.");
+            }
+        });
+    });
+});
+
+// --- REPLY VARIANT COMMANDS ---
+// Add a reply variant to an existing rule
+// Format: /addreply "trigger" "reply" [weight]
+bot.onText(/\/addreply\s*"([^"]+)"\s*"([^"]+)"(?:\s+(\d+))?/, (msg, match) => {
+    const chatId = msg.chat.id;
+    if (!isAdmin(chatId)) {
+        bot.sendMessage(chatId, "❌ You don't have permission to manage rules.");
+        return;
+    }
+    
+    const trigger = resolveRuleKey(match[1]);
+    const reply = match[2];
+    const weight = match[3] ? parseInt(match[3]) : 1;
+
+    if (!rules[trigger]) {
+        bot.sendMessage(chatId, `⚠️ Rule "${trigger}" not found. Use /addrule to create it first.`);
+        return;
+    }
+    if (weight < 1) {
+        bot.sendMessage(chatId, "❌ Weight must be 1 or more.");
+        return;
+    }
+    const error = validateTemplate(reply, rules[trigger]);
+    if (error) {
+        bot.sendMessage(chatId, `❌ ${error}`);
+        return;
+    }
+
+    addRuleReplyToDB(trigger, reply, weight, (success) => {
+        if (success) {
+            const total = getRuleReplies(rules[trigger]).length;
+            bot.sendMessage(chatId, `✅ Reply variant added to "${trigger}":\n"${reply}" (weight ${weight})\n\n🎲 This rule now has ${total} replies.`);
+        } else {
+            bot.sendMessage(chatId, "❌ Failed to save reply variant to database.");
+        }
+    });
+});
+
+// List the reply variants of a rule
+// Format: /listreplies "trigger"
+bot.onText(/\/listreplies\s*"([^"]+)"/, (msg, match) => {
+    const chatId = msg.chat.id;
+    if (!isAdmin(chatId)) {
+        bot.sendMessage(chatId, "❌ You don't have permission to manage rules.");
+        return;
+    }
+    
+    const trigger = resolveRuleKey(match[1]);
+    if (!rules[trigger]) {
+        bot.sendMessage(chatId, `⚠️ Rule "${trigger}" not found.`);
+        return;
+    }
+
+    let text = `🎲 Replies for "${trigger}":\n\n`;
+    getRuleReplies(rules[trigger]).forEach((option, index) => {
+        const note = index === 0 ? ' (main reply, change with /editrule)' : '';
+        text += `${index + 1}. "${option.reply}" - weight ${option.weight}${note}\n`;
+    });
+    bot.sendMessage(chatId, text);
+});
+
+// Remove a reply variant by its number in /listreplies
+// Format: /removereply "trigger" <number>
+bot.onText(/\/removereply\s*"([^"]+)"\s+(\d+)/, (msg, match) => {
+    const chatId = msg.chat.id;
+    if (!isAdmin(chatId)) {
+        bot.sendMessage(chatId, "❌ You don't have permission to manage rules.");
+        return;
+    }
+    
+    const trigger = resolveRuleKey(match[1]);
+    const position = parseInt(match[2]);
+
+    if (!rules[trigger]) {
+        bot.sendMessage(chatId, `⚠️ Rule "${trigger}" not found.`);
+        return;
+    }
+    if (position === 1) {
+        bot.sendMessage(chatId, "⚠️ Reply #1 is the rule's main reply. Use /editrule to change it or /deleterule to remove the rule.");
+        return;
+    }
+
+    const variant = rules[trigger].variants[position - 2];
+    if (!variant) {
+        bot.sendMessage(chatId, `⚠️ Reply #${position} not found. Use /listreplies "${trigger}" to see the numbers.`);
+        return;
+    }
+
+    removeRuleReplyFromDB(trigger, variant.id, (success) => {
+        if (success) {
+            bot.sendMessage(chatId, `🗑️ Reply #${position} removed from "${trigger}":\n"${variant.reply}"`);
+        } else {
+            bot.sendMessage(chatId, "❌ Failed to remove reply variant from database.");
+        }
+    });
+});
+
+// --- COOLDOWN COMMANDS ---
+// /cooldown                          - show current limits
+// /cooldown rule <seconds>           - default per-contact cooldown for each rule
+// /cooldown limit <count> <seconds>  - max auto-replies per contact per window (0 disables)
+// /cooldown "trigger" <seconds|default> - override the cooldown of one rule
+bot.onText(/^\/cooldown(?:\s+(.+))?$/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    if (!isAdmin(chatId)) {
+        bot.sendMessage(chatId, "❌ You don't have permission to manage rules.");
+        return;
+    }
+    
+    const args = (match[1] || '').trim();
+    
+    if (!args) {
+        const { ruleCooldown, rateLimit, rateWindow } = getCooldownSettings();
+        let text = `🧊 Reply Limits:\n\n` +
+            `• Rule cooldown: ${ruleCooldown}s per contact\n` +
+            `• Rate limit: ${rateLimit > 0 ? `${rateLimit} replies per ${rateWindow}s per contact` : 'off'}\n`;
+        const overrides = sortRules(rules).filter(rule => rule.cooldownSeconds !== null && rule.cooldownSeconds !== undefined);
+        if (overrides.length > 0) {
+            text += `\nRule overrides:\n`;
+            overrides.forEach(rule => {
+                text += `• "${rule.trigger}": ${rule.cooldownSeconds}s\n`;
+            });
+        }
+        bot.sendMessage(chatId, text);
+        return;
+    }
+    
+    let parts = args.match(/^rule\s+(\d+)$/);
+    if (parts) {
+        const success = await saveSettingToDb('rule_cooldown_seconds', parseInt(parts[1]));
+        bot.sendMessage(chatId, success
+            ? `✅ Rule cooldown set to ${parts[1]}s per contact.`
+            : '❌ Failed to save cooldown to database.');
+        return;
+    }
+    
+    parts = args.match(/^limit\s+(\d+)(?:\s+(\d+))?$/);
+    if (parts) {
+        const limitSaved = await saveSettingToDb('contact_rate_limit', parseInt(parts[1]));
+        const windowSaved = parts[2] ? await saveSettingToDb('contact_rate_window_seconds', parseInt(parts[2])) : true;
+        const { rateLimit, rateWindow } = getCooldownSettings();
+        bot.sendMessage(chatId, limitSaved && windowSaved
+            ? (rateLimit > 0 ? `✅ Rate limit set to ${rateLimit} replies per ${rateWindow}s per contact.` : '✅ Rate limit disabled.')
+            : '❌ Failed to save rate limit to database.');
+        return;
+    }
+    
+    parts = args.match(/^"([^"]+)"\s+(\d+|default)$/);
+    if (parts) {
+        const trigger = resolveRuleKey(parts[1]);
+        getRuleFromDB(trigger, (rule) => {
+            if (!rule) {
+                bot.sendMessage(chatId, `⚠️ Rule "${trigger}" not found.`);
+                return;
+            }
+            const cooldownSeconds = parts[2] === 'default' ? null : parseInt(parts[2]);
+            saveRuleToDB({ ...rule, cooldownSeconds }, (success) => {
+                if (!success) {
+                    bot.sendMessage(chatId, '❌ Failed to save rule cooldown to database.');
+                } else if (cooldownSeconds === null) {
+                    bot.sendMessage(chatId, `✅ Rule "${trigger}" now uses the default cooldown.`);
+                } else {
+                    bot.sendMessage(chatId, `✅ Rule "${trigger}" cooldown set to ${cooldownSeconds}s per contact.`);
+                }
+            });
+        });
+        return;
+    }
+    
+    bot.sendMessage(chatId, '⚠️ Usage: /cooldown, /cooldown rule <seconds>, /cooldown limit <count> [seconds], /cooldown "trigger" <seconds|default>');
+});
+
+// --- RULE SCOPE COMMANDS ---
+// Limit a rule to a channel and/or specific contacts
+// Format: /rulescope "trigger" <all|whatsapp|telegram> [number,group,tg:<chat id>,...]
+bot.onText(/\/rulescope\s*"([^"]+)"\s+(all|whatsapp|telegram)(?:\s+(\S+))?/i, (msg, match) => {
+    const chatId = msg.chat.id;
+    if (!isAdmin(chatId)) {
+        bot.sendMessage(chatId, "❌ You don't have permission to manage rules.");
+        return;
+    }
+    
+    const trigger = resolveRuleKey(match[1]);
+    const channel = match[2].toLowerCase();
+    const channels = channel === 'all' ? null : [channel];
+    
+    let contacts = null;
+    if (match[3]) {
+        contacts = [];
+        for (const entry of match[3].split(',').filter(Boolean)) {
+            const recipient = /^tg:-?\d+$/i.test(entry) ? entry.toLowerCase() : parseRecipient(entry);
+            if (!recipient) {
+                bot.sendMessage(chatId, `❌ "${entry}" is not a number, contact group or tg:<chat id>.`);
+                return;
+            }
+            contacts.push(recipient);
+        }
+    }
+    
+    getRuleFromDB(trigger, (rule) => {
+        if (!rule) {
+            bot.sendMessage(chatId, `⚠️ Rule "${trigger}" not found.`);
+            return;
+        }
+        const updated = { ...rule, channels, contacts };
+        saveRuleToDB(updated, (success) => {
+            if (success) {
+                bot.sendMessage(chatId, `🎯 Rule "${trigger}" now applies to: ${describeRuleScope(updated)}`);
+            } else {
+                bot.sendMessage(chatId, "❌ Failed to update rule in database.");
+            }
+        });
+    });
+});
+
+// --- RULE MEDIA COMMAND ---
+// Attach media to a rule's replies
+// Format: /rulemedia "trigger" as a reply to a photo, document, voice note, audio, video or location
+//         /rulemedia "trigger" none
+bot.onText(/\/rulemedia\s*"([^"]+)"(?:\s+(none))?/i, async (msg, match) => {
+    const chatId = msg.chat.id;
+    if (!isAdmin(chatId)) {
+        bot.sendMessage(chatId, "❌ You don't have permission to manage rules.");
+        return;
+    }
+    
+    const trigger = resolveRuleKey(match[1]);
+    let attachment = null;
+    if (!match[2]) {
+        try {
+            attachment = msg.reply_to_message ? await saveTelegramAttachment(msg.reply_to_message) : null;
+        } catch (err) {
+            console.error('⚠️ Error saving rule media:', err);
+            bot.sendMessage(chatId, `❌ Could not download the media: ${err.message}`);
+            return;
+        }
+        if (!attachment) {
+            bot.sendMessage(chatId, '⚠️ Reply to a photo, document, voice note, audio, video or location with /rulemedia "trigger", or use /rulemedia "trigger" none.');
+            return;
+        }
+    }
+    
+    getRuleFromDB(trigger, (rule) => {
+        if (!rule) {
+            bot.sendMessage(chatId, `⚠️ Rule "${trigger}" not found.`);
+            return;
+        }
+        saveRuleToDB({ ...rule, attachment }, (success) => {
+            if (!success) {
+                bot.sendMessage(chatId, "❌ Failed to update rule in database.");
+            } else if (attachment) {
+                bot.sendMessage(chatId, `📎 Rule "${trigger}" now replies with ${describeAttachment(attachment)}; its reply text is the caption.`);
+            } else {
+                bot.sendMessage(chatId, `✅ Media removed from rule "${trigger}".`);
+            }
+        });
+    });
+});
+
+// --- BUSINESS HOURS & AWAY COMMANDS ---
+// Limit when a rule fires
+// Format: /rulewhen "trigger" [HH:MM-HH:MM] [mon-fri|sat,sun|daily] [away]
+//         /rulewhen "trigger" always
+bot.onText(/\/rulewhen\s*"([^"]+)"\s+(.+)/, (msg, match) => {
+    const chatId = msg.chat.id;
+    if (!isAdmin(chatId)) {
+        bot.sendMessage(chatId, "❌ You don't have permission to manage rules.");
+        return;
+    }
+    
+    const trigger = resolveRuleKey(match[1]);
+    const tokens = match[2].trim().toLowerCase().split(/\s+/);
+    const update = { activeFrom: null, activeTo: null, activeDays: null, awayOnly: false };
+    
+    if (!(tokens.length === 1 && tokens[0] === 'always')) {
+        for (const token of tokens) {
+            const window = parseTimeWindow(token);
+            const days = parseDays(token);
+            if (token === 'away') {
+                update.awayOnly = true;
+            } else if (window) {
+                update.activeFrom = window.from;
+                update.activeTo = window.to;
+            } else if (days) {
+                update.activeDays = days;
+            } else {
+                bot.sendMessage(chatId, `❌ Could not understand "${token}". Use HH:MM-HH:MM, days like mon-fri or sat,sun, away, or always.`);
+                return;
+            }
+        }
+    }
+    
+    getRuleFromDB(trigger, (rule) => {
+        if (!rule) {
+            bot.sendMessage(chatId, `⚠️ Rule "${trigger}" not found.`);
+            return;
+        }
+        const updated = { ...rule, ...update };
+        saveRuleToDB(updated, (success) => {
+            if (success) {
+                bot.sendMessage(chatId, `⏰ Rule "${trigger}" is now active: ${describeRuleActivity(updated) || 'always'}`);
+            } else {
+                bot.sendMessage(chatId, "❌ Failed to update rule in database.");
+            }
+        });
+    });
+});
+
+// Away mode
+// Format: /away                              - show status
+//         /away on [message]                 - enable, optionally setting the away message
+//         /away off                          - disable
+//         /away auto HH:MM-HH:MM [days]      - switch on/off automatically
+//         /away auto off                     - stop switching automatically
+bot.onText(/^\/away(?:\s+(.+))?$/s, async (msg, match) => {
+    const chatId = msg.chat.id;
+    if (!isAdmin(chatId)) {
+        bot.sendMessage(chatId, "❌ You don't have permission to manage away mode.");
+        return;
+    }
+    
+    const args = (match[1] || '').trim();
+    
+    if (!args) {
+        let text = `${isAwayActive() ? '🌙 Away mode is ON' : '☀️ Away mode is OFF'}\n\n` +
+            `Message: ${settings.away_message ? `"${settings.away_message}"` : '(none set - only away rules will fire)'}\n`;
+        text += settings.away_auto_window
+            ? `Automatic: ${settings.away_auto_window} ${settings.away_auto_days ? formatDays(settings.away_auto_days.split(',').map(Number)) : 'daily'}`
+            : 'Automatic: off';
+        bot.sendMessage(chatId, text);
+        return;
+    }
+    
+    let parts = args.match(/^on(?:\s+"?([^"]+)"?)?$/s);
+    if (parts) {
+        const message = parts[1] ? parts[1].trim() : null;
+        const error = message && validateTemplate(message, null);
+        if (error) {
+            bot.sendMessage(chatId, `❌ ${error}`);
+            return;
+        }
+        const success = await setAwayMode(true, message);
+        bot.sendMessage(chatId, success
+            ? `🌙 Away mode ON.${settings.away_message ? `\nAuthorized contacts get once: "${settings.away_message}"` : '\nNo away message set - only away rules will fire.'}`
+            : '❌ Failed to save away mode to database.');
+        return;
+    }
+    
+    if (args === 'off') {
+        const success = await setAwayMode(false);
+        bot.sendMessage(chatId, success ? '☀️ Away mode OFF.' : '❌ Failed to save away mode to database.');
+        return;
+    }
+    
+    if (args === 'auto off') {
+        await saveSettingToDb('away_auto_window', '');
+        initAwaySchedule();
+        bot.sendMessage(chatId, '✅ Automatic away mode disabled.');
+        return;
+    }
+    
+    parts = args.match(/^auto\s+(\S+)(?:\s+(\S+))?$/);
+    if (parts) {
+        const window = parseTimeWindow(parts[1]);
+        const days = parts[2] ? parseDays(parts[2]) : null;
+        if (!window || (parts[2] && !days)) {
+            bot.sendMessage(chatId, '❌ Usage: /away auto HH:MM-HH:MM [mon-fri|sat,sun|daily]');
+            return;
+        }
+        await saveSettingToDb('away_auto_window', `${window.from}-${window.to}`);
+        await saveSettingToDb('away_auto_days', days ? days.join(',') : '');
+        initAwaySchedule();
+        bot.sendMessage(chatId, `✅ Away mode will switch on at ${window.from} and off at ${window.to} (${days ? formatDays(days) : 'daily'}).`);
+        return;
+    }
+    
+    bot.sendMessage(chatId, '⚠️ Usage: /away, /away on [message], /away off, /away auto HH:MM-HH:MM [days], /away auto off');
+});
+
+// --- AUTHORIZED NUMBERS MANAGEMENT COMMANDS ---
+// Add authorized number
+bot.onText(/\/addnumber\s+(\+?\d+\*?)/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    if (!isAdmin(chatId)) {
+        bot.sendMessage(chatId, "❌ You don't have permission to manage authorized numbers.");
+        return;
+    }
+    
+    // Add +91 if number doesn't start with country code; "91*" style prefixes are kept as typed
+    const result = await addAuthorizedNumber(match[1]);
+    if (result.error) {
+        bot.sendMessage(chatId, `${result.code === 'conflict' ? '⚠️' : '❌'} ${result.error}`);
+        return;
+    }
+    bot.sendMessage(chatId, `✅ Number +${result.number} added to authorized list.\n\nThis number can now receive auto-replies from the bot.`);
+});
+
+// List authorized numbers
+bot.onText(/\/listnumbers/, (msg) => {
+    const chatId = msg.chat.id;
+    if (!isAdmin(chatId)) {
+        bot.sendMessage(chatId, "❌ You don't have permission to view authorized numbers.");
+        return;
+    }
+    
+    if (authorizedNumbers.length === 0) {
+        bot.sendMessage(chatId, "📭 No authorized numbers saved yet.\n\nUse /addnumber <number> to add numbers that can receive auto-replies.");
+    } else {
+        let text = "📱 Authorized Numbers:\n\n";
+        authorizedNumbers.forEach((number, index) => {
+            text += `${index + 1}. +${number}\n`;
+        });
+        text += `\n📊 Total: ${authorizedNumbers.length} numbers`;
+        bot.sendMessage(chatId, text);
+    }
+});
+
+// Remove authorized number
+bot.onText(/\/removenumber\s+(\+?\d+\*?)/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    if (!isAdmin(chatId)) {
+        bot.sendMessage(chatId, "❌ You don't have permission to manage authorized numbers.");
+        return;
+    }
+    
+    // Add +91 if number doesn't start with country code; "91*" style prefixes are kept as typed
+    const result = await removeAuthorizedNumber(match[1]);
+    if (result.error) {
+        bot.sendMessage(chatId, `${result.code === 'not-found' ? '⚠️' : '❌'} ${result.error}`);
+        return;
+    }
+    bot.sendMessage(chatId, `🗑️ Number +${result.number} removed from authorized list.`);
+});
+
+// --- BLOCKLIST COMMANDS ---
+// Block a number or prefix; blocked numbers never get replies
+// Format: /block <number|prefix*>
+bot.onText(/\/block\s+(\+?\d+\*?)/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    if (!isAdmin(chatId)) {
+        bot.sendMessage(chatId, "❌ You don't have permission to manage authorized numbers.");
+        return;
+    }
+    
+    const number = normalizeNumberPattern(match[1]);
+    if (blockedNumbers.includes(number)) {
+        bot.sendMessage(chatId, `⚠️ Number +${number} is already blocked.`);
+        return;
+    }
+    
+    const success = await saveBlockedNumberToDb(number);
+    if (success) {
+        blockedNumbers.push(number);
+        bot.sendMessage(chatId, `⛔ Number +${number} blocked.\n\nIt will be ignored even if it is authorized, in a contact group or writing in a group chat.`);
+    } else {
+        bot.sendMessage(chatId, `❌ Failed to block number +${number} in database.`);
+    }
+});
+
+// Format: /unblock <number|prefix*>
+bot.onText(/\/unblock\s+(\+?\d+\*?)/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    if (!isAdmin(chatId)) {
+        bot.sendMessage(chatId, "❌ You don't have permission to manage authorized numbers.");
+        return;
+    }
+    
+    const number = normalizeNumberPattern(match[1]);
+    if (!blockedNumbers.includes(number)) {
+        bot.sendMessage(chatId, `⚠️ Number +${number} is not blocked.`);
+        return;
+    }
+    
+    const success = await removeBlockedNumberFromDb(number);
+    if (success) {
+        blockedNumbers.splice(blockedNumbers.indexOf(number), 1);
+        bot.sendMessage(chatId, `✅ Number +${number} unblocked.`);
+    } else {
+        bot.sendMessage(chatId, `❌ Failed to unblock number +${number} in database.`);
+    }
+});
+
+bot.onText(/\/listblocked/, (msg) => {
+    const chatId = msg.chat.id;
+    if (!isAdmin(chatId)) {
+        bot.sendMessage(chatId, "❌ You don't have permission to view authorized numbers.");
+        return;
+    }
+    
+    if (blockedNumbers.length === 0) {
+        bot.sendMessage(chatId, "📭 No blocked numbers.");
+        return;
+    }
+    let text = "⛔ Blocked Numbers:\n\n";
+    blockedNumbers.forEach((number, index) => {
+        text += `${index + 1}. +${number}\n`;
+    });
+    text += `\n📊 Total: ${blockedNumbers.length}`;
+    bot.sendMessage(chatId, text);
+});
+
+// Choose who gets auto-replies on WhatsApp
+// Format: /replymode [allowlist|everyone]
+bot.onText(/\/replymode(?:\s+(allowlist|everyone))?/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    if (!isAdmin(chatId)) {
+        bot.sendMessage(chatId, "❌ You don't have permission to manage authorized numbers.");
+        return;
+    }
+    
+    if (!match[1]) {
+        bot.sendMessage(chatId, getReplyMode() === 'everyone'
+            ? '🌍 Reply mode: everyone except blocked numbers.'
+            : '🔒 Reply mode: authorized numbers only (allowlist).');
+        return;
+    }
+    
+    const success = await saveSettingToDb('reply_mode', match[1]);
+    if (success) {
+        bot.sendMessage(chatId, match[1] === 'everyone'
+            ? '🌍 Now replying to everyone on WhatsApp except blocked numbers. Group chats still need /addgroupchat.'
+            : '🔒 Now replying to authorized numbers only.');
+    } else {
+        bot.sendMessage(chatId, '❌ Failed to save reply mode to database.');
+    }
+});
+
+// --- CONTACT GROUP COMMANDS ---
+// Format: /group create <name>
+//         /group add <name> <number,number,...>
+//         /group remove <name> <number>
+//         /group delete <name>
+//         /group list [name]
+bot.onText(/^\/group(?:\s+(.+))?$/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    if (!isAdmin(chatId)) {
+        bot.sendMessage(chatId, "❌ You don't have permission to manage authorized numbers.");
+        return;
+    }
+    
+    const [action, rawName, numbersArg] = (match[1] || 'list').trim().split(/\s+/);
+    const name = rawName ? rawName.toLowerCase() : null;
+    
+    if (action === 'list') {
+        if (name) {
+            if (!contactGroups[name]) {
+                bot.sendMessage(chatId, `⚠️ Group "${name}" not found.`);
+                return;
+            }
+            const members = contactGroups[name];
+            let text = `👥 Group "${name}" (${members.length} members):\n\n`;
+            members.forEach((number, index) => {
+                text += `${index + 1}. +${number}\n`;
+            });
+            bot.sendMessage(chatId, text);
+            return;
+        }
+        const names = Object.keys(contactGroups);
+        if (names.length === 0) {
+            bot.sendMessage(chatId, "📭 No contact groups yet.\n\nUse /group create <name> to add one.");
+            return;
+        }
+        let text = "👥 Contact Groups:\n\n";
+        names.forEach((groupName, index) => {
+            text += `${index + 1}. ${groupName} - ${contactGroups[groupName].length} members\n`;
+        });
+        bot.sendMessage(chatId, text);
+        return;
+    }
+    
+    if (!name) {
+        bot.sendMessage(chatId, '⚠️ Usage: /group create|add|remove|delete|list <name> [numbers]');
+        return;
+    }
+    
+    if (action === 'create') {
+        if (!/^[a-z][\w-]*$/.test(name)) {
+            bot.sendMessage(chatId, '❌ Group names start with a letter and use only letters, digits, - and _.');
+            return;
+        }
+        if (contactGroups[name]) {
+            bot.sendMessage(chatId, `⚠️ Group "${name}" already exists.`);
+            return;
+        }
+        const success = await saveContactGroupToDb(name);
+        if (success) {
+            contactGroups[name] = [];
+            bot.sendMessage(chatId, `✅ Group "${name}" created.\n\nAdd numbers with /group add ${name} <number,number>`);
+        } else {
+            bot.sendMessage(chatId, `❌ Failed to save group "${name}" to database.`);
+        }
+        return;
+    }
+    
+    if (!contactGroups[name]) {
+        bot.sendMessage(chatId, `⚠️ Group "${name}" not found. Use /group create ${name} first.`);
+        return;
+    }
+    
+    if (action === 'delete') {
+        const success = await deleteContactGroupFromDb(name);
+        if (success) {
+            delete contactGroups[name];
+            bot.sendMessage(chatId, `🗑️ Group "${name}" deleted. Its numbers stay authorized.`);
+        } else {
+            bot.sendMessage(chatId, `❌ Failed to delete group "${name}" from database.`);
+        }
+        return;
+    }
+    
+    if ((action === 'add' || action === 'remove') && numbersArg) {
+        const numbers = numbersArg.split(',').filter(Boolean);
+        if (numbers.some(number => !/^\+?\d+$/.test(number))) {
+            bot.sendMessage(chatId, '❌ Numbers must be digits, separated by commas.');
+            return;
+        }
+        const changed = [];
+        for (const number of numbers.map(normalizeNumber)) {
+            if (action === 'add') {
+                // Group members are authorized numbers
+                if (!authorizedNumbers.includes(number) && await saveAuthorizedNumberToDb(number)) {
+                    authorizedNumbers.push(number);
+                }
+                if (!contactGroups[name].includes(number) && await addGroupMemberToDb(name, number)) {
+                    contactGroups[name].push(number);
+                    changed.push(number);
+                }
+            } else if (await removeGroupMemberFromDb(name, number)) {
+                contactGroups[name] = contactGroups[name].filter(member => member !== number);
+                changed.push(number);
+            }
+        }
+        const verb = action === 'add' ? 'added to' : 'removed from';
+        bot.sendMessage(chatId, changed.length > 0
+            ? `✅ ${changed.map(number => `+${number}`).join(', ')} ${verb} group "${name}".`
+            : `⚠️ No numbers were ${verb} group "${name}".`);
+        return;
+    }
+    
+    bot.sendMessage(chatId, '⚠️ Usage: /group create|add|remove|delete|list <name> [numbers]');
+});
+
+// --- WHATSAPP GROUP CHAT COMMANDS ---
+// List the WhatsApp groups our account is in, with their ids
+bot.onText(/\/wagroups/, async (msg) => {
+    const chatId = msg.chat.id;
+    if (!isAdmin(chatId)) {
+        bot.sendMessage(chatId, "❌ You don't have permission to manage authorized numbers.");
+        return;
+    }
+    if (!client || !client.info) {
+        bot.sendMessage(chatId, '❌ WhatsApp client is not ready. Please scan the QR code first.');
+        return;
+    }
+    
+    try {
+        const groups = (await client.getChats()).filter(chat => chat.isGroup);
+        if (groups.length === 0) {
+            bot.sendMessage(chatId, "📭 This WhatsApp account is not in any groups.");
+            return;
+        }
+        let text = "👥 WhatsApp Groups:\n\n";
+        groups.forEach((group, index) => {
+            const id = group.id._serialized;
+            const status = authorizedChats[id] ? `✅ ${authorizedChats[id].mode}` : '🚫 not authorized';
+            text += `${index + 1}. ${group.name}\n   ${id.replace('@g.us', '')} - ${status}\n`;
+        });
+        text += `\nAuthorize one with /addgroupchat <id> [all|mention]`;
+        bot.sendMessage(chatId, text);
+    } catch (err) {
+        console.error('Error listing WhatsApp groups:', err);
+        bot.sendMessage(chatId, `⚠️ Failed to list WhatsApp groups: ${err.message}`);
+    }
+});
+
+// Authorize a WhatsApp group chat (default: mention-only)
+// Format: /addgroupchat <group id> [all|mention]
+bot.onText(/\/addgroupchat\s+([\d-]+(?:@g\.us)?)(?:\s+(all|mention))?/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    if (!isAdmin(chatId)) {
+        bot.sendMessage(chatId, "❌ You don't have permission to manage authorized numbers.");
+        return;
+    }
+    
+    const groupId = normalizeGroupChatId(match[1]);
+    const mode = match[2] || (authorizedChats[groupId] ? authorizedChats[groupId].mode : 'mention');
+    
+    let name = authorizedChats[groupId] ? authorizedChats[groupId].name : null;
+    if (client && client.info) {
+        try {
+            const chat = await client.getChatById(groupId);
+            name = chat.name;
+        } catch (err) {
+            console.log('⚠️ Could not look up WhatsApp group name:', err.message);
+        }
+    }
+    
+    const success = await saveAuthorizedChatToDb(groupId, name, mode);
+    if (success) {
+        authorizedChats[groupId] = { name, mode };
+        bot.sendMessage(chatId, `✅ Group ${name ? `"${name}" ` : ''}authorized (${mode === 'all' ? 'replies to every matching message' : 'replies only when mentioned or replied to'}).`);
+    } else {
+        bot.sendMessage(chatId, `❌ Failed to save group chat to database.`);
+    }
+});
+
+// Change the reply mode of an authorized group chat
+// Format: /groupchatmode <group id> all|mention
+bot.onText(/\/groupchatmode\s+([\d-]+(?:@g\.us)?)\s+(all|mention)/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    if (!isAdmin(chatId)) {
+        bot.sendMessage(chatId, "❌ You don't have permission to manage authorized numbers.");
+        return;
+    }
+    
+    const groupId = normalizeGroupChatId(match[1]);
+    const mode = match[2];
+    if (!authorizedChats[groupId]) {
+        bot.sendMessage(chatId, `⚠️ Group ${match[1]} is not authorized. Use /addgroupchat first.`);
+        return;
+    }
+    
+    const success = await saveAuthorizedChatToDb(groupId, authorizedChats[groupId].name, mode);
+    if (success) {
+        authorizedChats[groupId].mode = mode;
+        bot.sendMessage(chatId, `✅ Group ${authorizedChats[groupId].name || match[1]} is now in "${mode}" mode.`);
+    } else {
+        bot.sendMessage(chatId, `❌ Failed to update group chat in database.`);
+    }
+});
+
+// List authorized group chats
+bot.onText(/\/listgroupchats/, (msg) => {
+    const chatId = msg.chat.id;
+    if (!isAdmin(chatId)) {
+        bot.sendMessage(chatId, "❌ You don't have permission to view authorized numbers.");
+        return;
+    }
+    
+    const entries = Object.entries(authorizedChats);
+    if (entries.length === 0) {
+        bot.sendMessage(chatId, "📭 No WhatsApp group chats authorized yet.\n\nUse /wagroups to find group ids.");
+        return;
+    }
+    let text = "👥 Authorized Group Chats:\n\n";
+    entries.forEach(([id, chat], index) => {
+        text += `${index + 1}. ${chat.name || '(unknown name)'} - ${chat.mode}\n   ${id.replace('@g.us', '')}\n`;
+    });
+    bot.sendMessage(chatId, text);
+});
+
+// Remove an authorized group chat
+// Format: /removegroupchat <group id>
+bot.onText(/\/removegroupchat\s+([\d-]+(?:@g\.us)?)/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    if (!isAdmin(chatId)) {
+        bot.sendMessage(chatId, "❌ You don't have permission to manage authorized numbers.");
+        return;
+    }
+    
+    const groupId = normalizeGroupChatId(match[1]);
+    if (!authorizedChats[groupId]) {
+        bot.sendMessage(chatId, `⚠️ Group ${match[1]} is not authorized.`);
+        return;
+    }
+    
+    const success = await removeAuthorizedChatFromDb(groupId);
+    if (success) {
+        const { name } = authorizedChats[groupId];
+        delete authorizedChats[groupId];
+        bot.sendMessage(chatId, `🗑️ Group ${name || match[1]} removed from authorized chats.`);
+    } else {
+        bot.sendMessage(chatId, `❌ Failed to remove group chat from database.`);
+    }
+});
+
+// Help command
+bot.onText(/\/help/, (msg) => {
+    const chatId = msg.chat.id;
+    const helpText = `🤖 **Telegram Auto-Reply Bot Commands**\n\n` +
+        `**Message Auto-Reply:**\n` +
+        `• Bot automatically replies to messages from authorized numbers only\n\n` +
+        `**Rule Management:**\n` +
+        `• /listrules [whatsapp|telegram|number] - List saved rules\n` +
+        `• /addrule "trigger" "reply" [type] - Add new rule\n` +
+        `• /editrule "trigger" "new_reply" [type] - Edit existing rule\n` +
+        `• /deleterule "trigger" - Delete rule\n` +
+        `• /setpriority "trigger" <number> - Set rule priority (higher first)\n` +
+        `• /moverule "trigger" up|down|top|bottom - Reorder rules\n` +
+        `• /addreply "trigger" "reply" [weight] - Add a random reply variant\n` +
+        `• /listreplies "trigger" - List reply variants\n` +
+        `• /removereply "trigger" <n> - Remove reply variant n\n` +
+        `• /cooldown - View or tune reply cooldowns and rate limits\n` +
+        `• /rulescope "trigger" all|whatsapp|telegram [numbers] - Limit where a rule fires\n` +
+        `• /rulemedia "trigger" [none] - Reply to media to attach it to a rule\n` +
+        `• /rulewhen "trigger" [HH:MM-HH:MM] [days] [away] - Limit when a rule fires\n` +
+        `• /away on|off [message] - Toggle away mode\n\n` +
+        `**Authorized Numbers:**\n` +
+        `• /addnumber <number> - Add number to authorized list\n` +
+        `• /listnumbers - List all authorized numbers\n` +
+        `• /removenumber <number> - Remove number from authorized list\n` +
+        `• /block <number>, /unblock <number>, /listblocked - Manage the blocklist\n` +
+        `• /replymode allowlist|everyone - Reply to authorized numbers or everyone not blocked\n` +
+        `• Numbers ending in * are prefixes, e.g. /addnumber 91*\n\n` +
+        `**Contact Groups:**\n` +
+        `• /group create <name> - Create a contact group\n` +
+        `• /group add <name> <numbers> - Add comma-separated numbers\n` +
+        `• /group remove <name> <number> - Remove a number\n` +
+        `• /group list [name] - List groups or members\n\n` +
+        `**WhatsApp Group Chats:**\n` +
+        `• /wagroups - List WhatsApp groups and their ids\n` +
+        `• /addgroupchat <id> [all|mention] - Allow replies in a group\n` +
+        `• /groupchatmode <id> all|mention - Change a group's reply mode\n` +
+        `• /listgroupchats - List authorized group chats\n` +
+        `• /removegroupchat <id> - Stop replying in a group\n\n` +
+        `**WhatsApp Integration:**\n` +
+        `• /send <number|group> "message" - Send message to WhatsApp\n` +
+        `   Reply to a photo, document, voice note or location with /send <number> ["caption"] to forward it\n` +
+        `• /queue [purge|rate|spacing] - Inspect or purge the outgoing message queue\n` +
+        `• /relay [add|remove <number|group> | here] - Forward WhatsApp messages to Telegram\n` +
+        `• /history <number> [n] - Recent messages with a contact\n` +
+        `• /search "text" - Find messages containing text\n` +
+        `• /stats - Rule hits, unused rules, busiest contacts and daily volume\n` +
+        `• /qr - Get the WhatsApp pairing QR code as an image\n` +
+        `• /webhook [add <url> [events]|remove|pause|resume|test <id>|log] - POST bot events to other systems\n` +
+        `• /broadcast <group|number,number> "message" - Send to many recipients, spaced out\n` +
+        `• /cancelbroadcast [id] - Stop a running broadcast\n\n` +
+        `**Scheduled Messages:**\n` +
+        `• /schedule <number|group> "message" <when> - Schedule a message\n` +
+        `   when: HH:MM | HH:MM mon-fri | HH:MM monthly 1,15 | YYYY-MM-DD HH:MM | cron "0 9 * * 1"\n` +
+        `• /listschedules - List all active schedules\n` +
+        `• /editschedule <id> ["message"] [when] - Change a schedule's text or time\n` +
+        `• /pauseschedule <id> / /resumeschedule <id> - Pause or resume a schedule\n` +
+        `• /schedulemedia <id> [none] - Reply to media to attach it to a schedule\n` +
+        `• /cancelschedule <id> - Cancel a schedule (or <number|group> [date] HH:MM)\n` +
+        `• /timezone [number] [Area/City] - View or set time zones (add tz Area/City to /schedule)\n` +
+        `• /schedulelog [id] - Recent scheduled runs and their status\n` +
+        `• /catchup [off|latest|all] [hours] - Send missed schedules when WhatsApp reconnects\n\n` +
+        `**Examples:**\n` +
+        `• /addnumber 9876543210 - Allow this number to receive auto-replies\n` +
+        `• /addrule "hello" "Hi there! How can I help you?"\n` +
+        `• /addrule "han" "Han" word\n` +
+        `• /addrule "^order (\\d+)$" "Checking your order" regex\n` +
+        `• /send 9876543210 "Hello from Telegram!"\n` +
+        `• /schedule 9876543210 "Good morning!" 08:00\n\n` +
+        `**Placeholders:** {name}, {time}, {date} in replies, /send and schedules; {trigger} and regex groups {1}, {2}... in rule replies.\n` +
+        `**Match types:** contains (default), word, exact, startswith, regex. All matching is case-insensitive.\n` +
+        `**Order:** Highest priority first, then the longest trigger. Only the first matching rule replies.`;
+    
+    bot.sendMessage(chatId, helpText, { parse_mode: 'Markdown' });
+});
+
+// Start command
+bot.onText(/\/start/, (msg) => {
     const chatId = msg.chat.id;
-    let number = match[1]; // Phone number without country code
-    const text = match[2]; // Message text
+    const welcomeText = `🎉 **Welcome to Telegram Auto-Reply Bot!**\n\n` +
+        `This bot automatically replies to your messages based on predefined rules.\n\n` +
+        `Type /help to see all available commands.\n\n` +
+        `Current rules: ${Object.keys(rules).length}`;
+    
+    bot.sendMessage(chatId, welcomeText, { parse_mode: 'Markdown' });
+});
+
+// --- WhatsApp Auto-Reply is now handled inside the client initialization ---
+
+
+// NEW WORk...
+
+// --- SCHEDULED MESSAGES WITH DATABASE PERSISTENCE ---
+const cron = require('node-cron');
+// node-cron's own expander: turns names, ranges and steps into plain comma lists
+// Expand a (validated) cron expression into sorted value lists per field:
+// [seconds, minutes, hours, days of month, months, days of week]. Five-field expressions run at second 0.
+const CRON_FIELD_RANGES = [[0, 59], [0, 59], [0, 23], [1, 31], [1, 12], [0, 7]];
+const CRON_MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const CRON_DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+function expandCronExpression(expression) {
+    const fields = expression.trim().split(/\s+/);
+    if (fields.length === 5) fields.unshift('0');
+    return fields.map((field, index) => {
+        const [min, max] = CRON_FIELD_RANGES[index];
+        const toNumber = (value) => {
+            const name = value.slice(0, 3).toLowerCase();
+            if (index === 4 && CRON_MONTH_NAMES.includes(name)) return CRON_MONTH_NAMES.indexOf(name) + 1;
+            if (index === 5 && CRON_DAY_NAMES.includes(name)) return CRON_DAY_NAMES.indexOf(name);
+            return Number(value);
+        };
+        const values = new Set();
+        for (const part of field.split(',')) {
+            const [range, step] = part.split('/');
+            let [from, to] = range === '*' ? [min, max] : range.split('-').map(toNumber);
+            if (to === undefined) to = step ? max : from;
+            // Like node-cron, a step keeps the values in the range that are multiples of it
+            for (let value = from; value <= to; value++) {
+                if (step && value % Number(step) !== 0) continue;
+                // Sunday can be written as 0 or 7
+                values.add(index === 5 && value === 7 ? 0 : value);
+            }
+        }
+        return [...values].sort((a, b) => a - b);
+    });
+}
+const SCHEDULE_FILE = path.join(__dirname, 'schedule.json');
+
+// --- Enhanced Schedule Management ---
+let schedules = {};
+
+// Migrate JSON schedules to database
+// Import schedule.json once: legacy ids are renamed afterwards (migrateLegacyScheduleIds), so a
+// second import would duplicate them. The schedules_migrated setting records that it ran; the file
+// itself is left alone. Read from the database because settings may still be loading.
+async function migrateSchedulesToDb() {
+    const migrated = await queryAll(`SELECT value FROM settings WHERE key = 'schedules_migrated'`);
+    if (migrated.length > 0) return;
+    if (fs.existsSync(SCHEDULE_FILE)) {
+        try {
+            const data = fs.readFileSync(SCHEDULE_FILE, 'utf8');
+            const jsonSchedules = data.trim() ? JSON.parse(data) : {};
+            
+            let failed = 0;
+            if (Object.keys(jsonSchedules).length > 0) {
+                console.log('🔄 Migrating schedules to database...');
+                for (const [id, schedule] of Object.entries(jsonSchedules)) {
+                    const success = await new Promise((resolve) => {
+                        db.run('INSERT OR IGNORE INTO schedules (id, number, message, hour, minute) VALUES (?, ?, ?, ?, ?)', 
+                            [id, schedule.number, schedule.text, schedule.hour, schedule.minute], (err) => {
+                            if (err) console.error(`⚠️ Error migrating schedule ${id}:`, err);
+                            resolve(!err);
+                        });
+                    });
+                    if (!success) failed++;
+                }
+                console.log(`✅ Migrated ${Object.keys(jsonSchedules).length - failed} schedules to database`);
+            }
+            if (failed === 0) {
+                await saveSettingToDb('schedules_migrated', 1);
+            }
+        } catch (err) {
+            console.error('⚠️ Error migrating schedules:', err);
+        }
+    }
+}
+
+// Load schedules from database
+function loadSchedulesFromDb() {
+    return new Promise((resolve) => {
+        db.all('SELECT * FROM schedules', (err, rows) => {
+            if (err) {
+                console.error('⚠️ Error loading schedules from database:', err);
+                resolve({});
+                return;
+            }
+            const dbSchedules = {};
+            rows.forEach(row => {
+                dbSchedules[row.id] = {
+                    number: row.number,
+                    text: row.message,
+                    hour: row.hour,
+                    minute: row.minute,
+                    recurrence: row.recurrence || 'daily',
+                    cronExpression: row.cron_expression || null,
+                    runOnceAt: row.run_once_at || null,
+                    timezone: row.timezone || null,
+                    paused: row.paused === 1,
+                    attachment: parseAttachment(row.attachment)
+                };
+            });
+            console.log(`✅ Schedules loaded from database: ${rows.length} found`);
+            resolve(dbSchedules);
+        });
+    });
+}
+
+// Save schedule to database
+function saveScheduleToDb(id, schedule) {
+    return new Promise((resolve) => {
+        db.run(`INSERT OR REPLACE INTO schedules (id, number, message, hour, minute, recurrence, cron_expression, run_once_at, timezone, paused, attachment)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [id, schedule.number, schedule.text, schedule.hour, schedule.minute,
+                schedule.recurrence || 'daily', schedule.cronExpression || null, schedule.runOnceAt || null,
+                schedule.timezone || null, schedule.paused ? 1 : 0,
+                schedule.attachment ? JSON.stringify(schedule.attachment) : null], function(err) {
+            if (err) {
+                console.error('⚠️ Error saving schedule:', err);
+                resolve(false);
+                return;
+            }
+            console.log(`💾 Schedule saved to database: ${id}`);
+            resolve(true);
+        });
+    });
+}
+
+// Remove schedule from database
+function removeScheduleFromDb(id) {
+    return new Promise((resolve) => {
+        db.run('DELETE FROM schedules WHERE id = ?', [id], function(err) {
+            if (err) {
+                console.error('⚠️ Error removing schedule:', err);
+                resolve(false);
+                return;
+            }
+            console.log(`🗑️ Schedule removed from database: ${id}`);
+            resolve(this.changes > 0);
+        });
+    });
+}
+
+// Schedules used to be keyed "<number>_HH:MM[...]"; give them short generated IDs
+async function migrateLegacyScheduleIds() {
+    const legacyIds = Object.keys(schedules).filter(id => !SCHEDULE_ID_PATTERN.test(id));
+    for (const oldId of legacyIds) {
+        const newId = generateScheduleId();
+        const success = await new Promise((resolve) => {
+            db.run('UPDATE schedules SET id = ? WHERE id = ?', [newId, oldId], function(err) {
+                if (err) {
+                    console.error('⚠️ Error migrating schedule ID:', err);
+                    resolve(false);
+                    return;
+                }
+                resolve(true);
+            });
+        });
+        if (success) {
+            schedules[newId] = schedules[oldId];
+            delete schedules[oldId];
+            console.log(`🔄 Schedule ${oldId} is now ${newId}`);
+        }
+    }
+}
+
+// Legacy functions for backward compatibility
+function loadSchedules() {
+    loadSchedulesFromDb().then(dbSchedules => {
+        schedules = dbSchedules;
+    });
+}
+
+function saveSchedules() {
+    console.log("💾 Schedules are automatically saved to database");
+}
+
+// Store active cron jobs
+let scheduledJobs = {};
+
+// Initialize schedules at startup
+// One-off schedules whose time passed while the bot was offline would never fire again. They are
+// recorded as skipped runs, so the catch-up policy decides whether they are still sent, and removed.
+async function expireMissedOneOffSchedules() {
+    for (const [id, schedule] of Object.entries(schedules)) {
+        if (schedule.recurrence !== 'once' || getScheduleNextRun(schedule)) continue;
+        
+        const [date, time] = schedule.runOnceAt.split(' ');
+        const [year, month, day] = date.split('-').map(Number);
+        const [hour, minute] = time.split(':').map(Number);
+        const dueAt = fromZonedTime(new Date(Date.UTC(year, month - 1, day, hour, minute)), getScheduleTimezone(schedule));
+        if (!schedule.paused) {
+            for (const recipientNumber of resolveRecipients(schedule.number)) {
+                await recordScheduleRun(id, recipientNumber, schedule.text, 'skipped-not-ready', 'Bot was offline', false, dueAt);
+            }
+        }
+        await deleteSchedule(id);
+        console.log(`⌛ One-off schedule ${id} for ${formatRecipient(schedule.number)} was due at ${schedule.runOnceAt} while the bot was offline${schedule.paused ? ' (paused, dropped)' : ''}`);
+    }
+    // WhatsApp may already be connected, in which case its catch-up has run
+    if (client && client.info) {
+        runScheduleCatchUp();
+    }
+}
+
+function initSchedules() {
+    console.log(`🔄 Initializing ${Object.keys(schedules).length} saved schedules...`);
+    let successCount = 0;
+    for (const id in schedules) {
+        try {
+            createSchedule(id, schedules[id]);
+            successCount++;
+        } catch (err) {
+            console.error(`⚠️ Failed to initialize schedule ${id}:`, err);
+        }
+    }
+    console.log(`✅ Successfully initialized ${successCount}/${Object.keys(schedules).length} schedules`);
+}
+
+// --- Recurrence ---
+// Schedules are stored with a recurrence kind and the cron expression that implements it:
+//   daily             "08:00"                    → "0 8 * * *"
+//   weekly:<days>     "08:00 mon-fri"            → "0 8 * * 1,2,3,4,5"
+//   monthly:<dates>   "08:00 monthly 1,15"       → "0 8 1,15 * *"
+//   once              "2026-11-01 09:30"         → "30 9 1 11 *", deleted after it fires
+//   cron              'cron "*/30 9-17 * * 1-5"' → the expression as given
+// Times are wall-clock times in the schedule's zone (null = the bot's default zone).
+// Date values below are zoned times from toZonedTime, so they are read with UTC getters.
+const pad2 = (value) => String(value).padStart(2, '0');
+
+// Parse the "when" part of /schedule in the given zone. Returns the schedule fields or { error }.
+function parseScheduleWhen(spec, timezone) {
+    spec = spec.trim();
+    let parts = spec.match(/^(\d{4})-(\d{2})-(\d{2})\s+(\d{2}):(\d{2})$/);
+    if (parts) {
+        const [, year, month, day, hour, minute] = parts.map(Number);
+        const runAt = new Date(Date.UTC(year, month - 1, day, hour, minute));
+        if (runAt.getUTCMonth() !== month - 1 || runAt.getUTCDate() !== day || hour > 23 || minute > 59) {
+            return { error: `"${spec}" is not a valid date and time.` };
+        }
+        if (runAt <= toZonedTime(new Date(), timezone)) {
+            return { error: `${spec} is in the past.` };
+        }
+        return {
+            recurrence: 'once',
+            cronExpression: `${minute} ${hour} ${day} ${month} *`,
+            runOnceAt: `${parts[1]}-${parts[2]}-${parts[3]} ${parts[4]}:${parts[5]}`,
+            hour, minute
+        };
+    }
+    
+    parts = spec.match(/^cron\s+"?([^"]+?)"?$/i);
+    if (parts) {
+        const expression = parts[1].trim();
+        if (!cron.validate(expression)) {
+            return { error: `"${expression}" is not a valid cron expression.` };
+        }
+        // hour/minute hold the first run of the day, so /cancelschedule <number> HH:MM finds it
+        const [, minutes, hours] = expandCronExpression(expression);
+        return {
+            recurrence: 'cron',
+            cronExpression: expression,
+            hour: hours[0],
+            minute: minutes[0]
+        };
+    }
+    
+    parts = spec.match(/^([01]\d|2[0-3]):([0-5]\d)(?:\s+(.+))?$/);
+    if (!parts) {
+        return { error: `Could not understand "${spec}".` };
+    }
+    const hour = Number(parts[1]);
+    const minute = Number(parts[2]);
+    const repeat = parts[3] ? parts[3].trim().toLowerCase() : 'daily';
+    
+    if (repeat === 'daily') {
+        return { recurrence: 'daily', cronExpression: `${minute} ${hour} * * *`, hour, minute };
+    }
+    
+    const monthly = repeat.match(/^monthly\s+([\d,]+)$/);
+    if (monthly) {
+        const dates = [...new Set(monthly[1].split(',').filter(Boolean).map(Number))].sort((a, b) => a - b);
+        if (dates.length === 0 || dates.some(date => date < 1 || date > 31)) {
+            return { error: 'Monthly dates must be between 1 and 31.' };
+        }
+        return { recurrence: `monthly:${dates.join(',')}`, cronExpression: `${minute} ${hour} ${dates.join(',')} * *`, hour, minute };
+    }
+    
+    const days = parseDays(repeat);
+    if (days) {
+        return { recurrence: `weekly:${days.join(',')}`, cronExpression: `${minute} ${hour} * * ${days.join(',')}`, hour, minute };
+    }
+    
+    return { error: `Could not understand "${parts[3]}". Use daily, days like mon-fri, or monthly 1,15.` };
+}
+
+// Cron expression of a schedule (legacy rows only have hour and minute)
+function getScheduleCron(schedule) {
+    return schedule.cronExpression || `${schedule.minute} ${schedule.hour} * * *`;
+}
+
+function getScheduleTimezone(schedule) {
+    return schedule.timezone || getDefaultTimezone();
+}
+
+function describeSchedule(schedule) {
+    const time = `${pad2(schedule.hour)}:${pad2(schedule.minute)}`;
+    const zone = `(${getScheduleTimezone(schedule)})`;
+    const [kind, values] = (schedule.recurrence || 'daily').split(':');
+    switch (kind) {
+        case 'once':
+            return `once on ${schedule.runOnceAt} ${zone}`;
+        case 'cron':
+            return `cron "${schedule.cronExpression}" ${zone}`;
+        case 'weekly':
+            return `${formatDays(values.split(',').map(Number))} at ${time} ${zone}`;
+        case 'monthly':
+            return `monthly on ${values} at ${time} ${zone}`;
+        default:
+            return `daily at ${time} ${zone}`;
+    }
+}
+
+// Schedule IDs are short random hex strings, so several schedules can share a recipient and time
+const SCHEDULE_ID_PATTERN = /^[0-9a-f]{6}$/;
+
+function generateScheduleId() {
+    let id;
+    do {
+        id = crypto.randomBytes(3).toString('hex');
+    } while (schedules[id]);
+    return id;
+}
+
+// Parse "<when> [tz <Area/City>]" for a recipient. Without tz the schedule keeps `timezone`,
+// else a single number's contact zone is used. Returns the schedule fields or { error }.
+function parseScheduleSpec(spec, number, timezone = null) {
+    const tzMatch = spec.match(/^(.*?)\s+tz\s+(\S+)$/i);
+    if (tzMatch) {
+        spec = tzMatch[1];
+        timezone = tzMatch[2];
+        if (!isValidTimezone(timezone)) {
+            return { error: `Unknown time zone "${timezone}". Use an IANA name like Asia/Kolkata or Europe/London.` };
+        }
+    } else if (!timezone && !number.startsWith('group:') && contactTimezones[number]) {
+        timezone = contactTimezones[number];
+    }
+    
+    const when = parseScheduleWhen(spec, timezone || getDefaultTimezone());
+    if (when.error) {
+        return { error: `${when.error}\n\nUse HH:MM, HH:MM mon-fri, HH:MM monthly 1,15, YYYY-MM-DD HH:MM or cron "*/30 9-17 * * 1-5".` };
+    }
+    return { ...when, runOnceAt: when.runOnceAt || null, cronExpression: when.cronExpression || null, timezone };
+}
+
+// Next wall-clock time a cron expression fires in a zone (minute precision), or null within 5 years.
+// Day-of-month and weekday must both match, as in node-cron.
+function getNextRunTime(cronExpression, timezone) {
+    const [, minutes, hours, dates, months, weekdays] = expandCronExpression(cronExpression);
+    const start = toZonedTime(new Date(), timezone);
+    start.setUTCSeconds(0, 0);
+    start.setUTCMinutes(start.getUTCMinutes() + 1);
+    
+    for (let offset = 0; offset < 366 * 5; offset++) {
+        const day = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), start.getUTCDate() + offset));
+        if (!months.includes(day.getUTCMonth() + 1) || !dates.includes(day.getUTCDate()) || !weekdays.includes(day.getUTCDay())) {
+            continue;
+        }
+        for (const hour of hours) {
+            for (const minute of minutes) {
+                const candidate = new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate(), hour, minute));
+                if (candidate >= start) return candidate;
+            }
+        }
+    }
+    return null;
+}
+
+// Next run of a schedule as wall-clock time in the schedule's zone
+function getScheduleNextRun(schedule) {
+    const timezone = getScheduleTimezone(schedule);
+    if (schedule.recurrence === 'once') {
+        const [date, time] = schedule.runOnceAt.split(' ');
+        const [year, month, day] = date.split('-').map(Number);
+        const [hour, minute] = time.split(':').map(Number);
+        const runAt = new Date(Date.UTC(year, month - 1, day, hour, minute));
+        return runAt > toZonedTime(new Date(), timezone) ? runAt : null;
+    }
+    return getNextRunTime(getScheduleCron(schedule), timezone);
+}
+
+// Format a zoned time from toZonedTime
+function formatDateTime(date) {
+    return `${date.getUTCFullYear()}-${pad2(date.getUTCMonth() + 1)}-${pad2(date.getUTCDate())} ${pad2(date.getUTCHours())}:${pad2(date.getUTCMinutes())} (${DAY_NAMES[date.getUTCDay()]})`;
+}
+
+// Stop a schedule's cron job and delete it from memory and the database
+async function deleteSchedule(id) {
+    if (scheduledJobs[id]) {
+        scheduledJobs[id].stop();
+        delete scheduledJobs[id];
+        console.log(`🛑 Stopped cron job for ${id}`);
+    }
+    const success = await removeScheduleFromDb(id);
+    if (success) {
+        delete schedules[id];
+    }
+    return success;
+}
+
+// Helper: create cron job (paused schedules get a stopped job until /resumeschedule)
+function createSchedule(id, schedule) {
+    const { number, text } = schedule;
+    const cronTime = getScheduleCron(schedule);
+    try {
+        scheduledJobs[id] = cron.schedule(cronTime, async () => {
+            // One-off schedules fire once in their year, then remove themselves
+            if (schedule.recurrence === 'once') {
+                const year = toZonedTime(new Date(), getScheduleTimezone(schedule)).getUTCFullYear();
+                if (Number(schedule.runOnceAt.slice(0, 4)) !== year) return;
+                setTimeout(() => deleteSchedule(id), 0);
+            }
+            try {
+                // A group schedule goes to whoever is in the group when it fires
+                for (const recipientNumber of resolveRecipients(number)) {
+                    await deliverScheduledMessage(id, recipientNumber, text, false, schedule.attachment);
+                }
+            } catch (err) {
+                console.error('⚠️ Error sending scheduled message:', err);
+            }
+        }, {
+            scheduled: false,
+            timezone: getScheduleTimezone(schedule)
+        });
+        
+        if (schedule.paused) {
+            console.log(`⏸️ Schedule ${id} for ${formatRecipient(number)} is paused`);
+            return;
+        }
+        
+        // Start the cron job
+        scheduledJobs[id].start();
+        console.log(`🕒 Schedule ${id} created for ${formatRecipient(number)}: ${describeSchedule(schedule)} (${cronTime})`);
+    } catch (err) {
+        console.error(`⚠️ Error creating schedule ${id}:`, err);
+    }
+}
+
+// --- SCHEDULE RUNS & CATCH-UP ---
+// Every scheduled send is logged in schedule_runs. A run is queued in the outbox and ends as
+// sent, failed or not-registered; it is skipped-not-ready when WhatsApp was not connected.
+// Runs skipped because WhatsApp was not ready are sent when it reconnects, depending on
+// the catch-up policy: off, latest (one message per schedule and recipient) or all,
+// limited to runs missed within the last schedule_catchup_max_hours.
+const CATCHUP_POLICIES = ['off', 'latest', 'all'];
+const DEFAULT_CATCHUP_POLICY = 'latest';
+const DEFAULT_CATCHUP_MAX_HOURS = 12;
+
+function getCatchUpPolicy() {
+    return CATCHUP_POLICIES.includes(settings.schedule_catchup) ? settings.schedule_catchup : DEFAULT_CATCHUP_POLICY;
+}
+
+// runAt defaults to now; it is given for runs recorded after the fact
+function recordScheduleRun(scheduleId, number, message, status, error = null, catchUp = false, runAt = null) {
+    // Queued runs are counted once the outbox settles them (see updateScheduleRun)
+    if (status !== 'queued') incrementMetric('scheduled_runs_total', { status });
+    return new Promise((resolve) => {
+        db.run(`INSERT INTO schedule_runs (schedule_id, number, message, status, error, catch_up, run_at)
+                VALUES (?, ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))`,
+            [scheduleId, number, message, status, error, catchUp ? 1 : 0,
+                runAt ? runAt.toISOString().replace('T', ' ').slice(0, 19) : null], function(err) {
+            if (err) {
+                console.error('⚠️ Error recording schedule run:', err);
+                resolve(null);
+                return;
+            }
+            if (status !== 'queued') emitScheduleRunEvent(this.lastID);
+            resolve(this.lastID);
+        });
+    });
+}
+
+function updateScheduleRun(runId, status, error = null) {
+    incrementMetric('scheduled_runs_total', { status });
+    return new Promise((resolve) => {
+        db.run('UPDATE schedule_runs SET status = ?, error = ? WHERE id = ?', [status, error, runId], function(err) {
+            if (err) {
+                console.error('⚠️ Error updating schedule run:', err);
+                resolve(false);
+                return;
+            }
+            emitScheduleRunEvent(runId);
+            resolve(true);
+        });
+    });
+}
 
-    // Add +91 if number doesn't start with country code
-    if (!number.startsWith('+')) {
-        // Remove leading 0 if present and add +91
-        number = number.startsWith('0') ? number.substring(1) : number;
-        number = `91${number}`;
-    }
+function getScheduleRunsFromDb(scheduleId, limit) {
+    const sql = scheduleId
+        ? 'SELECT * FROM schedule_runs WHERE schedule_id = ? ORDER BY id DESC LIMIT ?'
+        : 'SELECT * FROM schedule_runs ORDER BY id DESC LIMIT ?';
+    return new Promise((resolve) => {
+        db.all(sql, scheduleId ? [scheduleId, limit] : [limit], (err, rows) => {
+            if (err) {
+                console.error('⚠️ Error loading schedule runs:', err);
+                resolve([]);
+                return;
+            }
+            resolve(rows);
+        });
+    });
+}
 
-    try {
-        // Check if WhatsApp client is ready
-        if (!client.info) {
-            bot.sendMessage(chatId, '❌ WhatsApp client is not ready. Please scan the QR code first.');
-            return;
+// Queue one scheduled message and log the run; the outbox reports how it ends (onOutboxResult)
+async function deliverScheduledMessage(scheduleId, number, text, catchUp = false, attachment = null) {
+    const label = `${catchUp ? 'Catch-up of schedule' : 'Schedule'} ${scheduleId} to +${number}`;
+    
+    if (!client || !client.info) {
+        console.log(`❌ WhatsApp client not ready, skipped ${label}.`);
+        await recordScheduleRun(scheduleId, number, text, 'skipped-not-ready', null, catchUp);
+        if (getCatchUpPolicy() === 'off') {
+            notifyAdmins(`⚠️ ${label} was skipped: WhatsApp is not connected (catch-up is off).`);
         }
-
-        // Format number for WhatsApp
-        const formattedNumber = `${number}@c.us`;
-        
-        // Check if number is registered on WhatsApp
-        const numberId = await client.getNumberId(number);
-        if (!numberId) {
-            bot.sendMessage(chatId, `❌ Number "${number}" is not registered on WhatsApp.`);
-            return;
+        return 'skipped-not-ready';
+    }
+    
+    const runId = await recordScheduleRun(scheduleId, number, text, 'queued', null, catchUp);
+    try {
+        const result = await sendTextToNumber(number, text, 'schedule', runId, attachment);
+        if (result.status === 'not-registered') {
+            console.log(`❌ Number "${number}" is not registered on WhatsApp.`);
+            await updateScheduleRun(runId, 'not-registered');
+            notifyAdmins(`⚠️ ${label} failed: the number is not registered on WhatsApp.`);
+            return 'not-registered';
         }
-
-        // Send message
-        await client.sendMessage(numberId._serialized, text);
-        bot.sendMessage(chatId, `✅ Message sent to +${number}:\n"${text}"`);
-        console.log(`📤 WhatsApp message sent to +${number}: ${text}`);
-        
+        console.log(`📥 Scheduled message for +${number} queued as #${result.id}`);
+        return 'queued';
     } catch (err) {
-        console.error('Send error:', err);
-        bot.sendMessage(chatId, `⚠️ Failed to send message: ${err.message}`);
+        console.error(`⚠️ Error queueing scheduled message for +${number}:`, err);
+        await updateScheduleRun(runId, 'failed', err.message);
+        notifyAdmins(`❌ ${label} failed: ${err.message}`);
+        return 'failed';
     }
-});
+}
 
-// --- TELEGRAM AUTO-REPLY SYSTEM ---
-// Auto-reply to all text messages based on rules
-bot.on('message', async (msg) => {
-    // Skip if it's a command or not a text message
-    if (!msg.text || msg.text.startsWith('/')) return;
+// Send the runs missed while WhatsApp was not ready, according to the catch-up policy
+async function runScheduleCatchUp() {
+    if (!db) return;
+    const policy = getCatchUpPolicy();
+    const maxHours = getNumberSetting('schedule_catchup_max_hours', DEFAULT_CATCHUP_MAX_HOURS);
     
-    const chatId = msg.chat.id;
-    const messageText = msg.text.toLowerCase();
+    const skipped = await new Promise((resolve) => {
+        db.all(`SELECT *, run_at >= datetime('now', ?) AS recent FROM schedule_runs
+                WHERE status = 'skipped-not-ready' AND resolved = 0 ORDER BY id`, [`-${maxHours} hours`], (err, rows) => {
+            if (err) {
+                console.error('⚠️ Error loading missed schedule runs:', err);
+                resolve([]);
+                return;
+            }
+            resolve(rows);
+        });
+    });
+    
+    // Each run is claimed by id while it is still an unresolved skip, so runs that changed since the
+    // SELECT (or that another catch-up took) are left alone. Older skipped runs are resolved without
+    // sending, as are all of them when catch-up is off.
+    const missed = [];
+    for (const run of skipped) {
+        const claimed = await new Promise((resolve) => {
+            db.run(`UPDATE schedule_runs SET resolved = 1 WHERE id = ? AND status = 'skipped-not-ready' AND resolved = 0`,
+                [run.id], function(err) {
+                if (err) {
+                    console.error('⚠️ Error resolving missed schedule run:', err);
+                    resolve(false);
+                    return;
+                }
+                resolve(this.changes > 0);
+            });
+        });
+        if (claimed && run.recent) missed.push(run);
+    }
+    
+    if (policy === 'off' || missed.length === 0) return;
+    
+    let runs = missed;
+    if (policy === 'latest') {
+        const latest = {};
+        missed.forEach(run => {
+            latest[`${run.schedule_id}/${run.number}`] = run;
+        });
+        runs = Object.values(latest);
+    }
     
-    // Check rules for matches
-    for (const [trigger, reply] of Object.entries(rules)) {
-        if (messageText.includes(trigger.toLowerCase())) {
-            await bot.sendMessage(chatId, reply);
-            console.log(`📤 Auto-replied to "${msg.text}" with rule "${trigger}" → "${reply}"`);
-            break; // Reply only to the first matching rule
+    console.log(`🔁 Catching up ${runs.length} missed scheduled message(s)...`);
+    const counts = {};
+    for (const run of runs) {
+        // Attachments are taken from the schedule, if it still exists
+        const schedule = schedules[run.schedule_id];
+        if (schedule && schedule.paused) {
+            counts['skipped (paused)'] = (counts['skipped (paused)'] || 0) + 1;
+            continue;
         }
+        const status = await deliverScheduledMessage(run.schedule_id, run.number, run.message, true, schedule ? schedule.attachment : null);
+        counts[status] = (counts[status] || 0) + 1;
+    }
+    const summary = Object.entries(counts).map(([status, count]) => `${count} ${status}`).join(', ');
+    notifyAdmins(`🔁 WhatsApp reconnected. Missed scheduled messages caught up: ${summary}.`);
+}
+
+// Replace a schedule's cron job after its fields changed
+function restartSchedule(id) {
+    if (scheduledJobs[id]) {
+        scheduledJobs[id].stop();
+        delete scheduledJobs[id];
+    }
+    createSchedule(id, schedules[id]);
+}
+
+// Re-create the cron jobs of schedules that follow the default zone (after /timezone changes it)
+function restartDefaultZoneSchedules() {
+    for (const [id, schedule] of Object.entries(schedules)) {
+        if (!schedule.timezone) restartSchedule(id);
+    }
+}
+
+function formatScheduleNextRun(schedule) {
+    if (schedule.paused) return 'paused';
+    const nextRun = getScheduleNextRun(schedule);
+    return nextRun ? formatDateTime(nextRun) : 'none';
+}
+
+// --- Telegram Commands ---
+// /schedule <number|group> "message" <when> [tz <Area/City>]
+//   when: HH:MM | HH:MM mon-fri | HH:MM monthly 1,15 | YYYY-MM-DD HH:MM | cron "<expression>"
+// Without tz the contact's zone is used (for a number with /timezone set), else the bot default.
+bot.onText(/^\/schedule\s+(\+?\d+|[A-Za-z][\w:-]*)\s+"([^"]+)"\s+(.+)$/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    if (!isAdmin(chatId)) {
+        bot.sendMessage(chatId, "❌ You don't have permission to manage schedules.");
+        return;
     }
+    // Number (default India code) or group:<name>
+    const result = await createScheduleFromInput({ recipient: match[1], text: match[2], when: match[3] });
+    if (result.error) {
+        bot.sendMessage(chatId, `❌ ${result.error}`);
+        return;
+    }
+    const { id, schedule } = result;
+    bot.sendMessage(chatId, `✅ Scheduled message ${id}:\nTo: ${formatRecipient(schedule.number)}\nText: "${schedule.text}"\nWhen: ${describeSchedule(schedule)}\n\n📅 Next run: ${formatScheduleNextRun(schedule)}` +
+        (schedule.recurrence === 'once' ? '\n🗑️ This schedule is removed after it runs.' : ''));
 });
 
-// --- RULE MANAGEMENT COMMANDS ---
-// List rules
-bot.onText(/\/listrules/, (msg) => {
+// /listschedules
+bot.onText(/\/listschedules/, (msg) => {
     const chatId = msg.chat.id;
     if (!isAdmin(chatId)) {
-        bot.sendMessage(chatId, "❌ You don't have permission to manage rules.");
+        bot.sendMessage(chatId, "❌ You don't have permission to manage schedules.");
         return;
     }
-    
-    loadRulesFromDB((rules) => {
-        if (Object.keys(rules).length === 0) {
-            bot.sendMessage(chatId, "📭 No rules saved yet.");
-        } else {
-            let text = "📜 Saved Rules:\n\n";
-            let count = 1;
-            for (const [trigger, reply] of Object.entries(rules)) {
-                text += `${count}. "${trigger}" → "${reply}"\n`;
-                count++;
-            }
-            bot.sendMessage(chatId, text);
+    if (Object.keys(schedules).length === 0) {
+        bot.sendMessage(chatId, "📭 No schedules set.");
+    } else {
+        let text = "📅 Active Schedules:\n\n";
+        let count = 1;
+        for (const [id, sched] of Object.entries(schedules)) {
+            const media = sched.attachment ? ` ${describeAttachment(sched.attachment)}` : '';
+            text += `${count}. [${id}]${sched.paused ? ' ⏸️' : ''} ${formatRecipient(sched.number)} → "${sched.text}"${media}\n   ${describeSchedule(sched)} - next: ${formatScheduleNextRun(sched)}\n`;
+            count++;
         }
-    });
+        bot.sendMessage(chatId, text);
+    }
 });
 
-// Add rule
-bot.onText(/\/addrule\s*"([^"]+)"\s*"([^"]+)"/, (msg, match) => {
+// /cancelschedule <id>
+bot.onText(/^\/cancelschedule\s+(\S+)$/, async (msg, match) => {
     const chatId = msg.chat.id;
     if (!isAdmin(chatId)) {
-        bot.sendMessage(chatId, "❌ You don't have permission to manage rules.");
+        bot.sendMessage(chatId, "❌ You don't have permission to manage schedules.");
         return;
     }
-    
-    const trigger = match[1].toLowerCase();
-    const reply = match[2];
-
-    saveRuleToDB(trigger, reply, (success) => {
-        if (success) {
-            bot.sendMessage(chatId, `✅ Rule added:\nTrigger: "${trigger}"\nReply: "${reply}"\n\nThis rule will now auto-reply to messages containing "${trigger}"`);
+    const id = match[1].toLowerCase();
+    // Anything that is not a known ID is left to the number + time form below
+    if (!schedules[id]) {
+        if (SCHEDULE_ID_PATTERN.test(id)) {
+            bot.sendMessage(chatId, `⚠️ No schedule with ID ${id}. Use /listschedules to see IDs.`);
         } else {
-            bot.sendMessage(chatId, "❌ Failed to save rule to database.");
+            bot.sendMessage(chatId, '⚠️ Usage: /cancelschedule <id> or /cancelschedule <number|group> [YYYY-MM-DD] HH:MM');
         }
-    });
+        return;
+    }
+    const result = await cancelScheduleById(id);
+    bot.sendMessage(chatId, result.error
+        ? `❌ ${result.error}`
+        : `🗑️ Schedule ${id} for ${formatRecipient(result.schedule.number)} cancelled.`);
 });
 
-// Delete rule
-bot.onText(/\/deleterule\s*"([^"]+)"/, (msg, match) => {
+// /editschedule <id> "new message" [<when> [tz <Area/City>]]
+// /editschedule <id> <when> [tz <Area/City>]
+bot.onText(/^\/editschedule(?:\s+(\S+)\s*(?:"([^"]+)")?\s*(.*))?$/, async (msg, match) => {
     const chatId = msg.chat.id;
     if (!isAdmin(chatId)) {
-        bot.sendMessage(chatId, "❌ You don't have permission to manage rules.");
+        bot.sendMessage(chatId, "❌ You don't have permission to manage schedules.");
         return;
     }
     
-    const trigger = match[1].toLowerCase();
-
-    deleteRuleFromDB(trigger, (success) => {
-        if (success) {
-            bot.sendMessage(chatId, `🗑️ Rule "${trigger}" deleted successfully.`);
-        } else {
-            bot.sendMessage(chatId, `⚠️ Rule "${trigger}" not found.`);
-        }
-    });
+    const id = (match[1] || '').toLowerCase();
+    const text = match[2];
+    const whenSpec = (match[3] || '').trim();
+    if (!id || (!text && !whenSpec)) {
+        bot.sendMessage(chatId, '⚠️ Usage: /editschedule <id> "new message" [<when>] or /editschedule <id> <when>');
+        return;
+    }
+    const result = await updateScheduleFromInput(id, { text, when: whenSpec || undefined });
+    if (result.code === 'not-found') {
+        bot.sendMessage(chatId, `⚠️ ${result.error} Use /listschedules to see IDs.`);
+        return;
+    }
+    if (result.error) {
+        bot.sendMessage(chatId, `❌ ${result.error}`);
+        return;
+    }
+    const updated = result.schedule;
+    bot.sendMessage(chatId, `✅ Schedule ${id} updated:\nTo: ${formatRecipient(updated.number)}\nText: "${updated.text}"\nWhen: ${describeSchedule(updated)}\n\n📅 Next run: ${formatScheduleNextRun(updated)}`);
 });
 
-// Edit rule
-bot.onText(/\/editrule\s*"([^"]+)"\s*"([^"]+)"/, (msg, match) => {
+// /schedulemedia <id> as a reply to media, or /schedulemedia <id> none
+bot.onText(/^\/schedulemedia(?:\s+(\S+))?(?:\s+(none))?$/i, async (msg, match) => {
     const chatId = msg.chat.id;
     if (!isAdmin(chatId)) {
-        bot.sendMessage(chatId, "❌ You don't have permission to manage rules.");
+        bot.sendMessage(chatId, "❌ You don't have permission to manage schedules.");
         return;
     }
     
-    const trigger = match[1].toLowerCase();
-    const newReply = match[2];
-
-    getRuleFromDB(trigger, (oldReply) => {
-        if (oldReply) {
-            saveRuleToDB(trigger, newReply, (success) => {
-                if (success) {
-                    bot.sendMessage(chatId, `✏️ Rule updated:\nTrigger: "${trigger}"\nOld reply: "${oldReply}"\nNew reply: "${newReply}"`);
-                } else {
-                    bot.sendMessage(chatId, "❌ Failed to update rule in database.");
-                }
-            });
-        } else {
-            bot.sendMessage(chatId, `⚠️ Rule "${trigger}" not found. Use /addrule to create a new rule.`);
+    const id = (match[1] || '').toLowerCase();
+    const schedule = schedules[id];
+    if (!schedule) {
+        bot.sendMessage(chatId, id ? `⚠️ No schedule with ID ${id}. Use /listschedules to see IDs.` : '⚠️ Usage: /schedulemedia <id> [none]');
+        return;
+    }
+    
+    let attachment = null;
+    if (!match[2]) {
+        try {
+            attachment = msg.reply_to_message ? await saveTelegramAttachment(msg.reply_to_message) : null;
+        } catch (err) {
+            console.error('⚠️ Error saving schedule media:', err);
+            bot.sendMessage(chatId, `❌ Could not download the media: ${err.message}`);
+            return;
         }
-    });
+        if (!attachment) {
+            bot.sendMessage(chatId, `⚠️ Reply to a photo, document, voice note, audio, video or location with /schedulemedia ${id}, or use /schedulemedia ${id} none.`);
+            return;
+        }
+    }
+    
+    const success = await saveScheduleToDb(id, { ...schedule, attachment });
+    if (!success) {
+        bot.sendMessage(chatId, '❌ Failed to save schedule to database.');
+        return;
+    }
+    schedule.attachment = attachment;
+    bot.sendMessage(chatId, attachment
+        ? `📎 Schedule ${id} now sends ${describeAttachment(attachment)} with its text as the caption.`
+        : `✅ Media removed from schedule ${id}.`);
 });
 
-// --- AUTHORIZED NUMBERS MANAGEMENT COMMANDS ---
-// Add authorized number
-bot.onText(/\/addnumber\s+(\d+)/, async (msg, match) => {
+// /pauseschedule <id>, /resumeschedule <id>
+bot.onText(/^\/(pause|resume)schedule(?:\s+(\S+))?$/, async (msg, match) => {
     const chatId = msg.chat.id;
     if (!isAdmin(chatId)) {
-        bot.sendMessage(chatId, "❌ You don't have permission to manage authorized numbers.");
+        bot.sendMessage(chatId, "❌ You don't have permission to manage schedules.");
         return;
     }
     
-    let number = match[1];
-    
-    // Add +91 if number doesn't start with country code
-    if (!number.startsWith('+')) {
-        number = number.startsWith('0') ? number.substring(1) : number;
-        number = `91${number}`;
+    const pause = match[1] === 'pause';
+    const id = (match[2] || '').toLowerCase();
+    if (!id) {
+        bot.sendMessage(chatId, `⚠️ Usage: /${match[1]}schedule <id>`);
+        return;
+    }
+    const schedule = schedules[id];
+    if (!schedule) {
+        bot.sendMessage(chatId, `⚠️ No schedule with ID ${id}. Use /listschedules to see IDs.`);
+        return;
+    }
+    if (schedule.paused === pause) {
+        bot.sendMessage(chatId, `ℹ️ Schedule ${id} is already ${pause ? 'paused' : 'running'}.`);
+        return;
     }
     
-    if (authorizedNumbers.includes(number)) {
-        bot.sendMessage(chatId, `⚠️ Number +${number} is already authorized.`);
-    } else {
-        const success = await saveAuthorizedNumberToDb(number);
-        if (success) {
-            authorizedNumbers.push(number);
-            bot.sendMessage(chatId, `✅ Number +${number} added to authorized list.\n\nThis number can now receive auto-replies from the bot.`);
-        } else {
-            bot.sendMessage(chatId, `❌ Failed to add number +${number} to database.`);
-        }
+    const result = await updateScheduleFromInput(id, { paused: pause });
+    if (result.error) {
+        bot.sendMessage(chatId, `❌ ${result.error}`);
+        return;
     }
+    bot.sendMessage(chatId, pause
+        ? `⏸️ Schedule ${id} paused. Use /resumeschedule ${id} to start it again.`
+        : `▶️ Schedule ${id} resumed.\n\n📅 Next run: ${formatScheduleNextRun(result.schedule)}`);
 });
 
-// List authorized numbers
-bot.onText(/\/listnumbers/, (msg) => {
+// /cancelschedule <number|group> [YYYY-MM-DD] HH:MM
+// Cancels every schedule of that recipient at that time (cron schedules match their first run of the day)
+bot.onText(/^\/cancelschedule\s+(\+?\d+|[A-Za-z][\w:-]*)\s+(?:(\d{4}-\d{2}-\d{2})\s+)?(\d{2}):(\d{2})$/, async (msg, match) => {
     const chatId = msg.chat.id;
     if (!isAdmin(chatId)) {
-        bot.sendMessage(chatId, "❌ You don't have permission to view authorized numbers.");
+        bot.sendMessage(chatId, "❌ You don't have permission to manage schedules.");
         return;
     }
-    
-    if (authorizedNumbers.length === 0) {
-        bot.sendMessage(chatId, "📭 No authorized numbers saved yet.\n\nUse /addnumber <number> to add numbers that can receive auto-replies.");
+    // Deleted groups can still have schedules, so fall back to the raw group name
+    const number = parseRecipient(match[1]) || `group:${match[1].toLowerCase().replace(/^group:/, '')}`;
+    const date = match[2];
+    const hour = match[3];
+    const minute = match[4];
+
+    const ids = Object.keys(schedules).filter(id => {
+        const sched = schedules[id];
+        return sched.number === number &&
+            Number(sched.hour) === Number(hour) &&
+            Number(sched.minute) === Number(minute) &&
+            (!date || (sched.runOnceAt && sched.runOnceAt.startsWith(date)));
+    });
+    const label = `${formatRecipient(number)} at ${date ? `${date} ` : ''}${hour}:${minute}`;
+
+    if (ids.length === 0) {
+        bot.sendMessage(chatId, `⚠️ No schedule found for ${label}.`);
+        return;
+    }
+
+    let cancelled = 0;
+    for (const id of ids) {
+        if (await deleteSchedule(id)) cancelled++;
+    }
+    if (cancelled === ids.length) {
+        bot.sendMessage(chatId, `🗑️ ${cancelled > 1 ? `${cancelled} schedules` : 'Schedule'} for ${label} cancelled.`);
     } else {
-        let text = "📱 Authorized Numbers:\n\n";
-        authorizedNumbers.forEach((number, index) => {
-            text += `${index + 1}. +${number}\n`;
-        });
-        text += `\n📊 Total: ${authorizedNumbers.length} numbers`;
-        bot.sendMessage(chatId, text);
+        bot.sendMessage(chatId, `❌ Failed to remove ${ids.length - cancelled} schedule(s) from database.`);
     }
 });
 
-// Remove authorized number
-bot.onText(/\/removenumber\s+(\d+)/, async (msg, match) => {
+// /timezone                               - show the default and per-contact zones
+// /timezone <Area/City>                   - set the bot's default zone
+// /timezone <number> <Area/City|default>  - set or clear a contact's zone
+bot.onText(/^\/timezone(?:\s+(.+))?$/, async (msg, match) => {
     const chatId = msg.chat.id;
     if (!isAdmin(chatId)) {
-        bot.sendMessage(chatId, "❌ You don't have permission to manage authorized numbers.");
+        bot.sendMessage(chatId, "❌ You don't have permission to manage schedules.");
         return;
     }
     
-    let number = match[1];
+    const args = (match[1] || '').trim().split(/\s+/).filter(Boolean);
+    
+    if (args.length === 0) {
+        let text = `🌍 Default time zone: ${getDefaultTimezone()}\n` +
+            `Current time there: ${formatDateTime(toZonedTime(new Date(), getDefaultTimezone()))}\n`;
+        const contacts = Object.entries(contactTimezones);
+        if (contacts.length > 0) {
+            text += `\nContact time zones:\n`;
+            contacts.forEach(([number, timezone]) => {
+                text += `• +${number}: ${timezone}\n`;
+            });
+        }
+        bot.sendMessage(chatId, text);
+        return;
+    }
     
-    // Add +91 if number doesn't start with country code
-    if (!number.startsWith('+')) {
-        number = number.startsWith('0') ? number.substring(1) : number;
-        number = `91${number}`;
+    if (args.length === 1) {
+        const timezone = args[0];
+        if (!isValidTimezone(timezone)) {
+            bot.sendMessage(chatId, `❌ Unknown time zone "${timezone}". Use an IANA name like Asia/Kolkata or Europe/London.`);
+            return;
+        }
+        const success = await saveSettingToDb('timezone', timezone);
+        if (!success) {
+            bot.sendMessage(chatId, '❌ Failed to save time zone to database.');
+            return;
+        }
+        restartDefaultZoneSchedules();
+        initAwaySchedule();
+        bot.sendMessage(chatId, `✅ Default time zone set to ${timezone}.\n\nBusiness hours and schedules without their own zone now follow it.`);
+        return;
     }
     
-    const index = authorizedNumbers.indexOf(number);
-    if (index > -1) {
-        const success = await removeAuthorizedNumberFromDb(number);
-        if (success) {
-            authorizedNumbers.splice(index, 1);
-            bot.sendMessage(chatId, `🗑️ Number +${number} removed from authorized list.`);
+    if (args.length === 2 && /^\+?\d+$/.test(args[0])) {
+        const number = normalizeNumber(args[0]);
+        const timezone = args[1] === 'default' ? null : args[1];
+        if (timezone && !isValidTimezone(timezone)) {
+            bot.sendMessage(chatId, `❌ Unknown time zone "${timezone}". Use an IANA name like Asia/Kolkata or Europe/London.`);
+            return;
+        }
+        const success = await saveContactTimezoneToDb(number, timezone);
+        if (!success) {
+            bot.sendMessage(chatId, '❌ Failed to save contact time zone to database.');
+            return;
+        }
+        if (timezone) {
+            contactTimezones[number] = timezone;
         } else {
-            bot.sendMessage(chatId, `❌ Failed to remove number +${number} from database.`);
+            delete contactTimezones[number];
         }
-    } else {
-        bot.sendMessage(chatId, `⚠️ Number +${number} is not in the authorized list.`);
+        bot.sendMessage(chatId, `✅ Time zone for +${number}: ${timezone || `default (${getDefaultTimezone()})`}.\n\nNew schedules for this number and its {time}/{date} placeholders use it.`);
+        return;
     }
+    
+    bot.sendMessage(chatId, '⚠️ Usage: /timezone, /timezone <Area/City>, /timezone <number> <Area/City|default>');
 });
 
-// Help command
-bot.onText(/\/help/, (msg) => {
+// /catchup                       - show the catch-up policy
+// /catchup off|latest|all [hours] - set the policy and how far back missed runs are sent
+bot.onText(/^\/catchup(?:\s+(.+))?$/, async (msg, match) => {
     const chatId = msg.chat.id;
-    const helpText = `🤖 **Telegram Auto-Reply Bot Commands**\n\n` +
-        `**Message Auto-Reply:**\n` +
-        `• Bot automatically replies to messages from authorized numbers only\n\n` +
-        `**Rule Management:**\n` +
-        `• /listrules - List all saved rules\n` +
-        `• /addrule "trigger" "reply" - Add new rule\n` +
-        `• /editrule "trigger" "new_reply" - Edit existing rule\n` +
-        `• /deleterule "trigger" - Delete rule\n\n` +
-        `**Authorized Numbers:**\n` +
-        `• /addnumber <number> - Add number to authorized list\n` +
-        `• /listnumbers - List all authorized numbers\n` +
-        `• /removenumber <number> - Remove number from authorized list\n\n` +
-        `**WhatsApp Integration:**\n` +
-        `• /send <number> "message" - Send message to WhatsApp\n\n` +
-        `**Scheduled Messages:**\n` +
-        `• /schedule <number> "message" HH:MM - Schedule daily message\n` +
-        `• /listschedules - List all active schedules\n` +
-        `• /cancelschedule <number> HH:MM - Cancel a schedule\n\n` +
-        `**Examples:**\n` +
-        `• /addnumber 9876543210 - Allow this number to receive auto-replies\n` +
-        `• /addrule "hello" "Hi there! How can I help you?"\n` +
-        `• /send 9876543210 "Hello from Telegram!"\n` +
-        `• /schedule 9876543210 "Good morning!" 08:00\n\n` +
-        `**Note:** Rules are case-insensitive and match partial text.`;
+    if (!isAdmin(chatId)) {
+        bot.sendMessage(chatId, "❌ You don't have permission to manage schedules.");
+        return;
+    }
     
-    bot.sendMessage(chatId, helpText, { parse_mode: 'Markdown' });
+    const args = (match[1] || '').trim();
+    if (!args) {
+        const maxHours = getNumberSetting('schedule_catchup_max_hours', DEFAULT_CATCHUP_MAX_HOURS);
+        bot.sendMessage(chatId, `🔁 Schedule catch-up: ${getCatchUpPolicy()}\n` +
+            `Missed runs from the last ${maxHours}h are sent when WhatsApp reconnects.\n\n` +
+            `• off - drop missed runs\n• latest - send the latest missed run of each schedule\n• all - send every missed run`);
+        return;
+    }
+    
+    const parts = args.toLowerCase().match(/^(off|latest|all)(?:\s+(\d+))?$/);
+    if (!parts) {
+        bot.sendMessage(chatId, '⚠️ Usage: /catchup off|latest|all [hours]');
+        return;
+    }
+    const policySaved = await saveSettingToDb('schedule_catchup', parts[1]);
+    const hoursSaved = parts[2] ? await saveSettingToDb('schedule_catchup_max_hours', parseInt(parts[2])) : true;
+    const maxHours = getNumberSetting('schedule_catchup_max_hours', DEFAULT_CATCHUP_MAX_HOURS);
+    bot.sendMessage(chatId, policySaved && hoursSaved
+        ? `✅ Schedule catch-up set to ${parts[1]}${parts[1] === 'off' ? '' : ` (runs missed in the last ${maxHours}h)`}.`
+        : '❌ Failed to save catch-up policy to database.');
 });
 
-// Start command
-bot.onText(/\/start/, (msg) => {
+// /schedulelog [id] - recent scheduled runs and their status
+bot.onText(/^\/schedulelog(?:\s+(\S+))?$/, async (msg, match) => {
     const chatId = msg.chat.id;
-    const welcomeText = `🎉 **Welcome to Telegram Auto-Reply Bot!**\n\n` +
-        `This bot automatically replies to your messages based on predefined rules.\n\n` +
-        `Type /help to see all available commands.\n\n` +
-        `Current rules: ${Object.keys(rules).length}`;
+    if (!isAdmin(chatId)) {
+        bot.sendMessage(chatId, "❌ You don't have permission to manage schedules.");
+        return;
+    }
     
-    bot.sendMessage(chatId, welcomeText, { parse_mode: 'Markdown' });
+    const id = match[1] ? match[1].toLowerCase() : null;
+    const runs = await getScheduleRunsFromDb(id, 20);
+    if (runs.length === 0) {
+        bot.sendMessage(chatId, id ? `📭 No runs logged for schedule ${id}.` : '📭 No scheduled runs logged yet.');
+        return;
+    }
+    
+    const icons = { 'queued': '📥', 'sent': '✅', 'skipped-not-ready': '⏭️', 'failed': '❌', 'not-registered': '🚫' };
+    let text = `📜 Schedule runs${id ? ` for ${id}` : ''} (latest first):\n\n`;
+    runs.forEach(run => {
+        text += `${icons[run.status] || '•'} ${run.run_at} [${run.schedule_id}] +${run.number}: ${run.status}` +
+            `${run.catch_up ? ' (catch-up)' : ''}${run.error ? ` - ${run.error}` : ''}\n`;
+    });
+    bot.sendMessage(chatId, text);
 });
 
-// --- WhatsApp Auto-Reply is now handled inside the client initialization ---
-
-
-// NEW WORk...
-
-// --- SCHEDULED MESSAGES WITH DATABASE PERSISTENCE ---
-const cron = require('node-cron');
-const SCHEDULE_FILE = path.join(__dirname, 'schedule.json');
-
-// --- Enhanced Schedule Management ---
-let schedules = {};
-
-// Migrate JSON schedules to database
-function migrateSchedulesToDb() {
-    if (fs.existsSync(SCHEDULE_FILE)) {
-        try {
-            const data = fs.readFileSync(SCHEDULE_FILE, 'utf8');
-            const jsonSchedules = data.trim() ? JSON.parse(data) : {};
-            
-            if (Object.keys(jsonSchedules).length > 0) {
-                console.log('🔄 Migrating schedules to database...');
-                for (const [id, schedule] of Object.entries(jsonSchedules)) {
-                    db.run('INSERT OR IGNORE INTO schedules (id, number, message, hour, minute) VALUES (?, ?, ?, ?, ?)', 
-                        [id, schedule.number, schedule.text, schedule.hour, schedule.minute]);
-                }
-                console.log(`✅ Migrated ${Object.keys(jsonSchedules).length} schedules to database`);
+// --- WEBHOOKS ---
+// Subscriptions POST a JSON event to a URL: { id, event, createdAt, data }, signed with the
+// subscription's secret (see webhooks.js). Deliveries are stored in webhook_deliveries and sent by
+// one worker, retried with exponential backoff until a 2xx answer or WEBHOOK_MAX_ATTEMPTS.
+const WEBHOOK_EVENTS = {
+    'message.received': 'Inbound WhatsApp messages',
+    'autoreply.sent': 'Auto-replies and away messages that were sent',
+    'schedule.run': 'Scheduled message runs (sent, failed, skipped...)',
+    'whatsapp.state': 'WhatsApp connection state changes'
+};
+const WEBHOOK_KEEP_DAYS = 7;
+let webhooks = [];
+let webhookTimer = null;
+let webhookBusy = false;
+
+function webhookFromRow(row) {
+    return {
+        id: row.id,
+        url: row.url,
+        secret: row.secret,
+        events: row.events === '*' ? '*' : row.events.split(','),
+        active: !!row.active
+    };
+}
+
+function loadWebhooksFromDb() {
+    return new Promise((resolve) => {
+        db.all('SELECT * FROM webhooks ORDER BY id', (err, rows) => {
+            if (err) {
+                console.error('⚠️ Error loading webhooks from database:', err);
+                resolve([]);
+                return;
             }
-        } catch (err) {
-            console.error('⚠️ Error migrating schedules:', err);
-        }
-    }
+            console.log(`✅ Webhooks loaded from database: ${rows.length} found`);
+            resolve(rows.map(webhookFromRow));
+        });
+    });
 }
 
-// Load schedules from database
-function loadSchedulesFromDb() {
+// Resolves with the new subscription, or null on error
+function saveWebhookToDb(url, events) {
+    const secret = crypto.randomBytes(24).toString('hex');
+    const storedEvents = events === '*' ? '*' : events.join(',');
     return new Promise((resolve) => {
-        db.all('SELECT * FROM schedules', (err, rows) => {
+        db.run('INSERT INTO webhooks (url, secret, events) VALUES (?, ?, ?)', [url, secret, storedEvents], function(err) {
             if (err) {
-                console.error('⚠️ Error loading schedules from database:', err);
-                resolve({});
+                console.error('⚠️ Error saving webhook to database:', err);
+                resolve(null);
                 return;
             }
-            const dbSchedules = {};
-            rows.forEach(row => {
-                dbSchedules[row.id] = {
-                    number: row.number,
-                    text: row.message,
-                    hour: row.hour,
-                    minute: row.minute
-                };
-            });
-            console.log(`✅ Schedules loaded from database: ${rows.length} found`);
-            resolve(dbSchedules);
+            resolve(webhookFromRow({ id: this.lastID, url, secret, events: storedEvents, active: 1 }));
         });
     });
 }
 
-// Save schedule to database
-function saveScheduleToDb(id, schedule) {
+function updateWebhookInDb(id, fields) {
+    const columns = Object.keys(fields);
     return new Promise((resolve) => {
-        db.run('INSERT OR REPLACE INTO schedules (id, number, message, hour, minute) VALUES (?, ?, ?, ?, ?)', 
-            [id, schedule.number, schedule.text, schedule.hour, schedule.minute], function(err) {
+        db.run(`UPDATE webhooks SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+            [...columns.map(column => fields[column]), id], function(err) {
             if (err) {
-                console.error('⚠️ Error saving schedule:', err);
+                console.error('⚠️ Error updating webhook:', err);
                 resolve(false);
                 return;
             }
-            console.log(`💾 Schedule saved to database: ${id}`);
-            resolve(true);
+            resolve(this.changes > 0);
         });
     });
 }
 
-// Remove schedule from database
-function removeScheduleFromDb(id) {
+function removeWebhookFromDb(id) {
     return new Promise((resolve) => {
-        db.run('DELETE FROM schedules WHERE id = ?', [id], function(err) {
+        db.run('DELETE FROM webhooks WHERE id = ?', [id], function(err) {
             if (err) {
-                console.error('⚠️ Error removing schedule:', err);
+                console.error('⚠️ Error removing webhook from database:', err);
                 resolve(false);
                 return;
             }
-            console.log(`🗑️ Schedule removed from database: ${id}`);
+            db.run(`DELETE FROM webhook_deliveries WHERE webhook_id = ? AND status = 'pending'`, [id]);
             resolve(this.changes > 0);
         });
     });
 }
 
-// Legacy functions for backward compatibility
-function loadSchedules() {
-    loadSchedulesFromDb().then(dbSchedules => {
-        schedules = dbSchedules;
-    });
+function getWebhookDeliveriesFromDb(webhookId = null, limit = 10) {
+    const where = webhookId ? 'WHERE webhook_id = ?' : '';
+    return queryAll(`SELECT * FROM webhook_deliveries ${where} ORDER BY id DESC LIMIT ?`,
+        webhookId ? [webhookId, limit] : [limit]);
 }
 
-function saveSchedules() {
-    console.log("💾 Schedules are automatically saved to database");
+function hasWebhookSubscribers(event) {
+    return webhooks.some(webhook => webhook.active && (webhook.events === '*' || webhook.events.includes(event)));
 }
 
-// Store active cron jobs
-let scheduledJobs = {};
+// Queue an event for every active subscription to it; force sends to one webhook whatever its events (/webhook test)
+function emitWebhookEvent(event, data, force = null) {
+    if (!isDatabaseReady) return;
+    const targets = force ? [force] : webhooks.filter(webhook =>
+        webhook.active && (webhook.events === '*' || webhook.events.includes(event)));
+    for (const webhook of targets) {
+        db.run(`INSERT INTO webhook_deliveries (webhook_id, event, payload, next_attempt_at) VALUES (?, ?, ?, ?)`,
+            [webhook.id, event, JSON.stringify({ event, createdAt: new Date().toISOString(), data }), Date.now()], (err) => {
+            if (err) console.error(`⚠️ Error queueing webhook ${webhook.id} for ${event}:`, err);
+        });
+    }
+}
 
-// Initialize schedules at startup
-function initSchedules() {
-    console.log(`🔄 Initializing ${Object.keys(schedules).length} saved schedules...`);
-    let successCount = 0;
-    for (const id in schedules) {
-        try {
-            createSchedule(id, schedules[id]);
-            successCount++;
-        } catch (err) {
-            console.error(`⚠️ Failed to initialize schedule ${id}:`, err);
-        }
+// schedule.run carries the run as stored in schedule_runs
+function emitScheduleRunEvent(runId) {
+    if (!runId || !hasWebhookSubscribers('schedule.run')) return;
+    db.get('SELECT * FROM schedule_runs WHERE id = ?', [runId], (err, run) => {
+        if (err || !run) return;
+        emitWebhookEvent('schedule.run', {
+            runId: run.id,
+            scheduleId: run.schedule_id,
+            number: run.number,
+            message: run.message,
+            status: run.status,
+            error: run.error,
+            catchUp: !!run.catch_up,
+            runAt: run.run_at
+        });
+    });
+}
+
+async function deliverWebhook(delivery) {
+    const webhook = webhooks.find(entry => entry.id === delivery.webhook_id);
+    const attempts = delivery.attempts + 1;
+    if (!webhook) {
+        await updateWebhookDelivery(delivery.id, { status: 'failed', attempts, last_error: 'Webhook was removed' });
+        return;
+    }
+    
+    const { responseStatus, error } = await postWebhook(webhook.url, webhook.secret, delivery);
+    const outcome = getWebhookOutcome(attempts, error);
+    if (outcome.status === 'delivered') {
+        await updateWebhookDelivery(delivery.id, { status: 'delivered', attempts, response_status: responseStatus, last_error: null, delivered_at: Date.now() });
+        console.log(`🪝 Webhook ${webhook.id} delivered ${delivery.event} #${delivery.id}`);
+    } else if (outcome.status === 'failed') {
+        await updateWebhookDelivery(delivery.id, { status: 'failed', attempts, response_status: responseStatus, last_error: error });
+        console.log(`❌ Webhook ${webhook.id} gave up on ${delivery.event} #${delivery.id}: ${error}`);
+    } else {
+        await updateWebhookDelivery(delivery.id, { attempts, response_status: responseStatus, last_error: error, next_attempt_at: Date.now() + outcome.delaySeconds * 1000 });
+        console.log(`🔁 Webhook ${webhook.id} ${delivery.event} #${delivery.id} failed (${error}), retrying in ${outcome.delaySeconds}s`);
     }
-    console.log(`✅ Successfully initialized ${successCount}/${Object.keys(schedules).length} schedules`);
 }
 
-// Helper: create cron job
-function createSchedule(id, { number, text, hour, minute }) {
-    const cronTime = `${minute} ${hour} * * *`;
-    try {
-        scheduledJobs[id] = cron.schedule(cronTime, async () => {
-            try {
-                if (!client.info) {
-                    console.log('❌ WhatsApp client not ready.');
-                    return;
-                }
-                const numberId = await client.getNumberId(number);
-                if (!numberId) {
-                    console.log(`❌ Number "${number}" is not registered on WhatsApp.`);
-                    return;
-                }
-                await client.sendMessage(numberId._serialized, text);
-                console.log(`📤 Scheduled message sent to +${number}: ${text}`);
-            } catch (err) {
-                console.error('⚠️ Error sending scheduled message:', err);
-            }
-        }, {
-            scheduled: false
+function updateWebhookDelivery(id, fields) {
+    const columns = Object.keys(fields);
+    return new Promise((resolve) => {
+        db.run(`UPDATE webhook_deliveries SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+            [...columns.map(column => fields[column]), id], (err) => {
+            if (err) console.error('⚠️ Error updating webhook delivery:', err);
+            resolve(!err);
         });
-        
-        // Start the cron job
-        scheduledJobs[id].start();
-        console.log(`🕒 Schedule created for +${number} at ${hour}:${minute} (${cronTime})`);
+    });
+}
+
+async function processWebhookDeliveries() {
+    if (webhookBusy) return;
+    webhookBusy = true;
+    try {
+        const due = await queryAll(`SELECT * FROM webhook_deliveries WHERE status = 'pending' AND next_attempt_at <= ? ORDER BY id LIMIT 20`, [Date.now()]);
+        for (const delivery of due) {
+            await deliverWebhook(delivery);
+        }
     } catch (err) {
-        console.error(`⚠️ Error creating schedule ${id}:`, err);
+        console.error('⚠️ Error processing webhook deliveries:', err);
+    } finally {
+        webhookBusy = false;
     }
 }
 
-// --- Telegram Commands ---
-// /schedule <number> "message" HH:MM
-bot.onText(/^\/schedule\s+(\d+)\s+"([^"]+)"\s+(\d{2}):(\d{2})$/, async (msg, match) => {
-    const chatId = msg.chat.id;
-    let number = match[1];
-    const text = match[2];
-    const hour = match[3];
-    const minute = match[4];
+// Load subscriptions, start the delivery worker and drop finished deliveries older than WEBHOOK_KEEP_DAYS
+async function startWebhooks() {
+    if (webhookTimer) return;
+    webhooks = await loadWebhooksFromDb();
+    db.run(`DELETE FROM webhook_deliveries WHERE status != 'pending' AND created_at < datetime('now', ?)`, [`-${WEBHOOK_KEEP_DAYS} days`], (err) => {
+        if (err) console.error('⚠️ Error cleaning up webhook deliveries:', err);
+    });
+    webhookTimer = setInterval(processWebhookDeliveries, 2000);
+}
 
-    if (!number.startsWith('+')) {
-        number = number.startsWith('0') ? number.substring(1) : number;
-        number = `91${number}`; // default India code
-    }
+function formatWebhook(webhook) {
+    const events = webhook.events === '*' ? 'all events' : webhook.events.join(', ');
+    return `${webhook.active ? '🟢' : '⏸️'} #${webhook.id} ${webhook.url}\n   ${events}`;
+}
 
-    // Unique ID per schedule (number + time)
-    const id = `${number}_${hour}:${minute}`;
+function formatWebhookDelivery(delivery) {
+    const icon = { delivered: '✅', failed: '❌', pending: '⏳' }[delivery.status] || '•';
+    let line = `${icon} #${delivery.id} → webhook ${delivery.webhook_id} ${delivery.event} (${delivery.status}, ${delivery.attempts} attempt${delivery.attempts === 1 ? '' : 's'})`;
+    if (delivery.last_error) line += `\n   ${delivery.last_error}`;
+    return line;
+}
 
-    // Remove old job if exists
-    if (scheduledJobs[id]) {
-        scheduledJobs[id].stop();
-        delete scheduledJobs[id];
+// /webhook                              - list subscriptions
+// /webhook add <url> [event,event|all]  - subscribe (default all events); replies with the signing secret
+// /webhook remove|pause|resume|test <id>
+// /webhook log [id]                     - recent deliveries
+bot.onText(/^\/webhook(?:\s+(.+))?$/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    if (!isAdmin(chatId)) {
+        bot.sendMessage(chatId, "❌ You don't have permission to manage webhooks.");
+        return;
     }
-
-    // Save to database
-    const scheduleData = { number, text, hour, minute };
-    const success = await saveScheduleToDb(id, scheduleData);
     
-    if (success) {
-        schedules[id] = scheduleData;
-        
-        // Create new schedule
+    const args = (match[1] || '').trim().split(/\s+/).filter(Boolean);
+    const action = (args[0] || '').toLowerCase();
+    
+    if (!action) {
+        const eventList = Object.entries(WEBHOOK_EVENTS).map(([event, description]) => `• ${event} - ${description}`).join('\n');
+        bot.sendMessage(chatId, (webhooks.length > 0
+            ? `🪝 Webhooks:\n${webhooks.map(formatWebhook).join('\n')}`
+            : '🪝 No webhooks. Use /webhook add <url> [events].') +
+            `\n\nEvents:\n${eventList}\n\nUsage: /webhook add <url> [event,event|all], /webhook remove|pause|resume|test <id>, /webhook log [id]`,
+            { disable_web_page_preview: true });
+        return;
+    }
+    
+    if (action === 'add') {
+        const url = args[1];
+        let parsedUrl = null;
         try {
-            createSchedule(id, schedules[id]);
-            bot.sendMessage(chatId, `✅ Scheduled daily message:\nTo: +${number}\nText: "${text}"\nTime: ${hour}:${minute}\n\n📅 This message will be sent every day at ${hour}:${minute}`);
+            parsedUrl = url ? new URL(url) : null;
         } catch (err) {
-            console.error('Error creating schedule:', err);
-            bot.sendMessage(chatId, `⚠️ Failed to create schedule: ${err.message}`);
+            parsedUrl = null;
+        }
+        if (!parsedUrl || !['http:', 'https:'].includes(parsedUrl.protocol)) {
+            bot.sendMessage(chatId, '⚠️ Usage: /webhook add <http(s) url> [event,event|all]');
+            return;
+        }
+        let events = '*';
+        if (args[2] && args[2].toLowerCase() !== 'all') {
+            events = args[2].split(',').map(event => event.trim()).filter(Boolean);
+            const unknown = events.filter(event => !WEBHOOK_EVENTS[event]);
+            if (unknown.length > 0) {
+                bot.sendMessage(chatId, `❌ Unknown event${unknown.length > 1 ? 's' : ''}: ${unknown.join(', ')}. Events: ${Object.keys(WEBHOOK_EVENTS).join(', ')}`);
+                return;
+            }
+        }
+        const webhook = await saveWebhookToDb(url, events);
+        if (!webhook) {
+            bot.sendMessage(chatId, '❌ Failed to save webhook to database.');
+            return;
+        }
+        webhooks.push(webhook);
+        bot.sendMessage(chatId, `✅ Webhook #${webhook.id} added:\n${formatWebhook(webhook)}\n\n🔑 Signing secret: ${webhook.secret}\n` +
+            `Verify X-Webhook-Signature as sha256=HMAC-SHA256(secret, "<X-Webhook-Timestamp>.<body>"). Use /webhook test ${webhook.id} to send a ping.`,
+            { disable_web_page_preview: true });
+        return;
+    }
+    
+    if (action === 'log') {
+        const webhookId = args[1] ? parseInt(args[1], 10) : null;
+        const deliveries = await getWebhookDeliveriesFromDb(webhookId);
+        if (deliveries.length === 0) {
+            bot.sendMessage(chatId, `📭 No webhook deliveries${webhookId ? ` for #${webhookId}` : ''}.`);
+            return;
+        }
+        bot.sendMessage(chatId, fitTelegramMessage(`🪝 Recent webhook deliveries${webhookId ? ` for #${webhookId}` : ''}:\n`,
+            deliveries.map(formatWebhookDelivery)));
+        return;
+    }
+    
+    const id = parseInt(args[1], 10);
+    const webhook = webhooks.find(entry => entry.id === id);
+    if (!['remove', 'pause', 'resume', 'test'].includes(action) || !args[1]) {
+        bot.sendMessage(chatId, '⚠️ Usage: /webhook, /webhook add <url> [events], /webhook remove|pause|resume|test <id>, /webhook log [id]');
+        return;
+    }
+    if (!webhook) {
+        bot.sendMessage(chatId, `⚠️ No webhook #${args[1]}. Use /webhook to list them.`);
+        return;
+    }
+    
+    if (action === 'remove') {
+        if (!(await removeWebhookFromDb(id))) {
+            bot.sendMessage(chatId, '❌ Failed to remove webhook from database.');
+            return;
         }
+        webhooks = webhooks.filter(entry => entry.id !== id);
+        bot.sendMessage(chatId, `🗑️ Webhook #${id} removed.`);
+    } else if (action === 'test') {
+        emitWebhookEvent('ping', { webhookId: id }, webhook);
+        bot.sendMessage(chatId, `📤 Ping queued for webhook #${id}. Check /webhook log ${id} for the result.`);
     } else {
-        bot.sendMessage(chatId, `❌ Failed to save schedule to database.`);
+        const active = action === 'resume';
+        if (!(await updateWebhookInDb(id, { active: active ? 1 : 0 }))) {
+            bot.sendMessage(chatId, '❌ Failed to update webhook in database.');
+            return;
+        }
+        webhook.active = active;
+        bot.sendMessage(chatId, active ? `▶️ Webhook #${id} resumed.` : `⏸️ Webhook #${id} paused.`);
     }
 });
 
-// /listschedules
-bot.onText(/\/listschedules/, (msg) => {
-    const chatId = msg.chat.id;
-    if (Object.keys(schedules).length === 0) {
-        bot.sendMessage(chatId, "📭 No schedules set.");
-    } else {
-        let text = "📅 Active Schedules:\n\n";
-        let count = 1;
-        for (const [id, sched] of Object.entries(schedules)) {
-            text += `${count}. +${sched.number} → "${sched.text}" at ${sched.hour}:${sched.minute}\n`;
-            count++;
+// --- HEALTH CHECKS ---
+// GET /healthz answers 503 when something a restart could fix is broken: the database did not
+// open, Telegram polling stopped or WhatsApp initialization gave up. GET /readyz answers 503
+// whenever messages cannot be delivered right now (WhatsApp not connected, e.g. logged out or
+// waiting for a QR scan). Both return the same JSON report.
+const POLLING_ERROR_WINDOW_MS = 60 * 1000;
+let lastPollingError = null;
+let lastPollingErrorAt = null;
+
+bot.on('polling_error', (err) => {
+    console.error('⚠️ Telegram polling error:', err.code || '', err.message);
+    lastPollingError = err.message;
+    lastPollingErrorAt = new Date();
+});
+
+function getHealthReport() {
+    const whatsAppConnected = Boolean(isClientInitialized && client && client.info);
+    const pollingFailing = lastPollingErrorAt !== null && Date.now() - lastPollingErrorAt.getTime() < POLLING_ERROR_WINDOW_MS;
+    const activeSchedules = Object.keys(scheduledJobs).filter(id => schedules[id] && !schedules[id].paused).length;
+    
+    const report = {
+        whatsapp: {
+            isClientInitialized,
+            connected: whatsAppConnected,
+            info: client && client.info ? { pushname: client.info.pushname, platform: client.info.platform } : null,
+            waitingForQr: qrShown,
+            lastState: lastWhatsAppState,
+            lastStateAt: lastWhatsAppStateAt ? lastWhatsAppStateAt.toISOString() : null,
+            lastDisconnectReason,
+            reconnectAttempts,
+            initializationFailed: whatsAppInitFailed
+        },
+        database: {
+            ready: isDatabaseReady
+        },
+        cron: {
+            activeJobs: activeSchedules + awayJobs.length + (historyRetentionJob ? 1 : 0),
+            schedules: activeSchedules,
+            awayMode: awayJobs.length,
+            maintenance: historyRetentionJob ? 1 : 0
+        },
+        telegram: {
+            polling: bot.isPolling(),
+            lastPollingError,
+            lastPollingErrorAt: lastPollingErrorAt ? lastPollingErrorAt.toISOString() : null
         }
-        bot.sendMessage(chatId, text);
+    };
+    report.healthy = isDatabaseReady && report.telegram.polling && !whatsAppInitFailed;
+    report.ready = report.healthy && whatsAppConnected && !pollingFailing;
+    return report;
+}
+
+app.get('/healthz', (req, res) => {
+    const report = getHealthReport();
+    res.status(report.healthy ? 200 : 503).json(report);
+});
+
+app.get('/readyz', (req, res) => {
+    const report = getHealthReport();
+    res.status(report.ready ? 200 : 503).json(report);
+});
+
+// --- QR PAIRING ---
+// GET /qr shows the current WhatsApp pairing QR in the browser, so re-pairing does not need the
+// terminal QR from the logs. It is protected by API_TOKEN: the browser asks for a login, any user
+// name works and the password is the token. The page polls /qr/status and swaps in each new code,
+// then shows the connected number once WhatsApp is ready. Admins can also get the code with /qr.
+function requirePairingAuth(req, res, next) {
+    if (!API_TOKEN) {
+        res.status(403).send('The pairing page is disabled until API_TOKEN is set.');
+        return;
+    }
+    const header = req.get('authorization') || '';
+    let given = '';
+    if (header.startsWith('Bearer ')) {
+        given = header.slice(7);
+    } else if (header.startsWith('Basic ')) {
+        const credentials = Buffer.from(header.slice(6), 'base64').toString();
+        given = credentials.slice(credentials.indexOf(':') + 1);
+    }
+    if (!isValidApiToken(given)) {
+        res.set('WWW-Authenticate', 'Basic realm="WhatsApp pairing"').status(401).send('Authentication required.');
+        return;
+    }
+    next();
+}
+
+function getConnectedNumber() {
+    return isClientInitialized && client && client.info ? client.info.wid.user : null;
+}
+
+const QR_PAGE = `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>WhatsApp pairing</title>
+<style>
+body { font-family: sans-serif; text-align: center; margin: 2em; color: #222; }
+img { width: 300px; max-width: 90vw; image-rendering: pixelated; }
+.hint { color: #666; }
+</style>
+</head>
+<body>
+<h1>WhatsApp pairing</h1>
+<div id="content"><p>Loading...</p></div>
+<script>
+let shownAt = null;
+async function refresh() {
+    try {
+        const response = await fetch('qr/status', { credentials: 'same-origin' });
+        const status = await response.json();
+        const content = document.getElementById('content');
+        if (status.status === 'connected') {
+            shownAt = null;
+            content.innerHTML = '<h2>✅ Connected as +' + status.number + '</h2>';
+        } else if (status.status === 'qr') {
+            if (status.issuedAt !== shownAt) {
+                shownAt = status.issuedAt;
+                content.innerHTML = '<img alt="WhatsApp pairing QR code" src="' + status.qr + '">' +
+                    '<p class="hint">Open WhatsApp on your phone, go to Linked devices and scan the code. It refreshes automatically.</p>';
+            }
+        } else {
+            shownAt = null;
+            content.innerHTML = '<p>⏳ Waiting for WhatsApp to start...</p>';
+        }
+    } catch (err) {
+        console.error(err);
+    }
+}
+refresh();
+setInterval(refresh, 3000);
+</script>
+</body>
+</html>`;
+
+app.get('/qr', requirePairingAuth, (req, res) => {
+    res.type('html').send(QR_PAGE);
+});
+
+app.get('/qr/status', requirePairingAuth, async (req, res) => {
+    const number = getConnectedNumber();
+    if (number) {
+        res.json({ status: 'connected', number });
+    } else if (currentQr) {
+        res.json({ status: 'qr', qr: await QRCode.toDataURL(currentQr, { width: 300, margin: 2 }), issuedAt: currentQrAt.toISOString() });
+    } else {
+        res.json({ status: 'starting' });
     }
 });
 
-// /cancelschedule <number> HH:MM
-bot.onText(/^\/cancelschedule\s+(\d+)\s+(\d{2}):(\d{2})$/, async (msg, match) => {
+// /qr - Send the current pairing QR code as an image
+bot.onText(/^\/qr$/, async (msg) => {
     const chatId = msg.chat.id;
-    let number = match[1];
-    const hour = match[2];
-    const minute = match[3];
+    if (!isAdmin(chatId)) {
+        bot.sendMessage(chatId, "❌ You don't have permission to pair WhatsApp.");
+        return;
+    }
+    
+    const number = getConnectedNumber();
+    if (number) {
+        bot.sendMessage(chatId, `✅ WhatsApp is already connected as +${number}.`);
+        return;
+    }
+    if (!currentQr) {
+        bot.sendMessage(chatId, '⏳ No pairing QR code yet. WhatsApp may still be starting or restoring its session; try again shortly.');
+        return;
+    }
+    
+    try {
+        const image = await QRCode.toBuffer(currentQr, { width: 400, margin: 2 });
+        await bot.sendPhoto(chatId, image, {
+            caption: '📱 Scan with WhatsApp → Linked devices. Codes expire after about 20 seconds; send /qr again for a fresh one' +
+                (API_TOKEN ? ' or open /qr on the web server, which refreshes automatically.' : '.')
+        }, { filename: 'whatsapp-qr.png', contentType: 'image/png' });
+    } catch (err) {
+        console.error('⚠️ Error sending pairing QR code:', err);
+        bot.sendMessage(chatId, `❌ Failed to send QR code: ${err.message}`);
+    }
+});
+
+// --- METRICS ---
+// GET /metrics in the Prometheus text format, protected by API_TOKEN. Counters live in memory
+// and start from zero when the process restarts; gauges are read when scraped.
+const METRICS_PREFIX = 'autoreply_bot_';
+const METRIC_COUNTERS = {
+    messages_received_total: 'Messages received, by channel',
+    messages_replied_total: 'Auto-replies and away messages sent, by channel',
+    rule_hits_total: 'Auto-reply rule matches, by channel',
+    send_failures_total: 'Messages that could not be sent, by channel and source',
+    scheduled_runs_total: 'Scheduled message runs, by final status',
+    whatsapp_disconnects_total: 'WhatsApp client disconnects',
+    whatsapp_reconnects_total: 'WhatsApp client reconnects after a disconnect'
+};
+const metricCounters = {};
 
-    if (!number.startsWith('+')) {
-        number = number.startsWith('0') ? number.substring(1) : number;
-        number = `91${number}`;
+function incrementMetric(name, labels = {}) {
+    const key = JSON.stringify(labels);
+    const values = metricCounters[name] || (metricCounters[name] = {});
+    if (!values[key]) values[key] = { labels, value: 0 };
+    values[key].value++;
+}
+
+function formatMetricLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) =>
+        `${name}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function formatMetric(name, type, help, samples) {
+    const lines = [`# HELP ${METRICS_PREFIX}${name} ${help}`, `# TYPE ${METRICS_PREFIX}${name} ${type}`];
+    for (const { labels, value } of samples) {
+        lines.push(`${METRICS_PREFIX}${name}${formatMetricLabels(labels)} ${value}`);
     }
+    return lines.join('\n');
+}
+
+async function getMetricsText() {
+    const blocks = Object.entries(METRIC_COUNTERS).map(([name, help]) => {
+        const samples = Object.values(metricCounters[name] || {});
+        // Unlabelled counters are reported from zero so they exist before the first event
+        if (samples.length === 0 && name.startsWith('whatsapp_')) samples.push({ labels: {}, value: 0 });
+        return formatMetric(name, 'counter', help, samples);
+    });
+    
+    const scheduleList = Object.values(schedules);
+    const paused = scheduleList.filter(schedule => schedule.paused).length;
+    const outbox = isDatabaseReady ? await queryAll('SELECT status, COUNT(*) AS count FROM outbox GROUP BY status') : [];
+    const outboxCount = status => (outbox.find(row => row.status === status) || { count: 0 }).count;
+    blocks.push(
+        formatMetric('rules', 'gauge', 'Auto-reply rules', [{ labels: {}, value: Object.keys(rules).length }]),
+        formatMetric('authorized_numbers', 'gauge', 'Authorized numbers and prefixes', [{ labels: {}, value: authorizedNumbers.length }]),
+        formatMetric('schedules', 'gauge', 'Scheduled messages, by state', [
+            { labels: { state: 'active' }, value: scheduleList.length - paused },
+            { labels: { state: 'paused' }, value: paused }
+        ]),
+        formatMetric('outbox_depth', 'gauge', 'Outgoing messages waiting in the queue', [{ labels: {}, value: outboxCount('pending') }]),
+        formatMetric('whatsapp_connected', 'gauge', 'Whether the WhatsApp client is connected (1) or not (0)', [
+            { labels: {}, value: isClientInitialized && client && client.info ? 1 : 0 }
+        ])
+    );
+    return blocks.join('\n') + '\n';
+}
 
-    const id = `${number}_${hour}:${minute}`;
+app.get('/metrics', requireApiToken, async (req, res) => {
+    res.type('text/plain; version=0.0.4').send(await getMetricsText());
+});
 
-    if (scheduledJobs[id]) {
-        scheduledJobs[id].stop();
-        scheduledJobs[id].destroy();
-        delete scheduledJobs[id];
-        console.log(`🛑 Stopped cron job for ${id}`);
+// --- REST ADMIN API ---
+// JSON endpoints under /api for rules, authorized numbers, schedules and sending, protected by
+// API_TOKEN. They share validation with the Telegram commands (see SHARED ADMIN OPERATIONS), and
+// every error is answered with { error, code } and the matching HTTP status.
+const api = express.Router();
+api.use(requireApiToken, express.json());
+
+function sendApiResult(res, result, status = 200) {
+    if (result.error) {
+        res.status(OPERATION_ERROR_STATUS[result.code] || 500).json({ error: result.error, code: result.code });
+        return;
     }
+    res.status(status).json(result);
+}
 
-    if (schedules[id]) {
-        const success = await removeScheduleFromDb(id);
-        if (success) {
-            delete schedules[id];
-            bot.sendMessage(chatId, `🗑️ Schedule for +${number} at ${hour}:${minute} cancelled.`);
-        } else {
-            bot.sendMessage(chatId, `❌ Failed to remove schedule from database.`);
-        }
-    } else {
-        bot.sendMessage(chatId, `⚠️ No schedule found for +${number} at ${hour}:${minute}.`);
+// Run an async route handler, answering unexpected errors with a 500
+function apiRoute(handler) {
+    return (req, res) => handler(req, res).catch(err => {
+        console.error('⚠️ API error:', err);
+        res.status(500).json({ error: 'Internal server error', code: 'internal' });
+    });
+}
+
+function scheduleToJson(id, schedule) {
+    return {
+        id,
+        ...schedule,
+        timezone: getScheduleTimezone(schedule),
+        nextRun: formatScheduleNextRun(schedule)
+    };
+}
+
+function getRequestBody(req) {
+    return req.body && typeof req.body === 'object' ? req.body : {};
+}
+
+// Rules
+api.get('/rules', (req, res) => {
+    res.json({ rules: sortRules(Object.values(rules)) });
+});
+
+api.post('/rules', apiRoute(async (req, res) => {
+    const { trigger, reply, matchType } = getRequestBody(req);
+    const result = await addRule({ trigger, reply, matchType }, { replace: false });
+    sendApiResult(res, result, 201);
+}));
+
+api.get('/rules/:trigger', (req, res) => {
+    const rule = rules[resolveRuleKey(req.params.trigger)];
+    if (!rule) {
+        res.status(404).json({ error: `Rule "${req.params.trigger}" not found.`, code: 'not-found' });
+        return;
+    }
+    res.json({ rule });
+});
+
+api.put('/rules/:trigger', apiRoute(async (req, res) => {
+    const { reply, matchType, priority } = getRequestBody(req);
+    const result = await editRule(req.params.trigger, { reply, matchType, priority });
+    sendApiResult(res, result.error ? result : { rule: result.rule });
+}));
+
+api.delete('/rules/:trigger', apiRoute(async (req, res) => {
+    sendApiResult(res, await deleteRule(req.params.trigger));
+}));
+
+// Authorized numbers
+api.get('/numbers', (req, res) => {
+    res.json({ numbers: authorizedNumbers });
+});
+
+api.post('/numbers', apiRoute(async (req, res) => {
+    const { number } = getRequestBody(req);
+    sendApiResult(res, await addAuthorizedNumber(number === undefined ? '' : number), 201);
+}));
+
+api.delete('/numbers/:number', apiRoute(async (req, res) => {
+    sendApiResult(res, await removeAuthorizedNumber(req.params.number));
+}));
+
+// Schedules
+api.get('/schedules', (req, res) => {
+    res.json({ schedules: Object.entries(schedules).map(([id, schedule]) => scheduleToJson(id, schedule)) });
+});
+
+api.post('/schedules', apiRoute(async (req, res) => {
+    const { recipient, text, when } = getRequestBody(req);
+    const result = await createScheduleFromInput({ recipient, text, when });
+    sendApiResult(res, result.error ? result : { schedule: scheduleToJson(result.id, result.schedule) }, 201);
+}));
+
+api.get('/schedules/:id', (req, res) => {
+    const id = req.params.id.toLowerCase();
+    if (!schedules[id]) {
+        res.status(404).json({ error: `No schedule with ID ${id}.`, code: 'not-found' });
+        return;
+    }
+    res.json({ schedule: scheduleToJson(id, schedules[id]) });
+});
+
+api.patch('/schedules/:id', apiRoute(async (req, res) => {
+    const { text, when, paused } = getRequestBody(req);
+    const result = await updateScheduleFromInput(req.params.id, { text, when, paused });
+    sendApiResult(res, result.error ? result : { schedule: scheduleToJson(result.id, result.schedule) });
+}));
+
+api.delete('/schedules/:id', apiRoute(async (req, res) => {
+    const result = await cancelScheduleById(req.params.id);
+    sendApiResult(res, result.error ? result : { id: result.id });
+}));
+
+// Send: queued through the outbox like /send
+api.post('/send', apiRoute(async (req, res) => {
+    const { recipient, text } = getRequestBody(req);
+    sendApiResult(res, await queueMessage(recipient, text), 202);
+}));
+
+api.use((req, res) => {
+    res.status(404).json({ error: `No API endpoint ${req.method} ${req.path}`, code: 'not-found' });
+});
+
+// Malformed JSON bodies and other errors from the middleware
+api.use((err, req, res, next) => {
+    if (err.type === 'entity.parse.failed') {
+        res.status(400).json({ error: 'Request body is not valid JSON.', code: 'invalid' });
+        return;
     }
+    console.error('⚠️ API error:', err);
+    res.status(err.status || 500).json({ error: err.message || 'Internal server error', code: 'internal' });
 });
 
+app.use('/api', api);
+
 // Schedules will be initialized by initializeDataAfterDb() function
 // No need for separate timeout here
@@ -0,0 +1,109 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { WEBHOOK_MAX_ATTEMPTS, signWebhookBody, postWebhook, getWebhookOutcome } = require('../webhooks');
+
+const SECRET = 'test-secret';
+let server;
+let url;
+let requests = [];
+let answers = [];
+
+// A receiver that records each request and answers with the next status in `answers` (200 once empty)
+before(async () => {
+    server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            requests.push({ headers: req.headers, body });
+            const status = answers.length > 0 ? answers.shift() : 200;
+            if (status === 'hang') return;
+            res.writeHead(status);
+            res.end();
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}/hook`;
+});
+
+after(() => {
+    server.closeAllConnections();
+    server.close();
+});
+
+function makeDelivery(id) {
+    return {
+        id,
+        event: 'message.received',
+        payload: JSON.stringify({ event: 'message.received', createdAt: '2026-01-01T00:00:00.000Z', data: { text: 'hi' } })
+    };
+}
+
+function reset(statuses = []) {
+    requests = [];
+    answers = statuses;
+}
+
+test('signs the timestamp and body with the subscription secret', async () => {
+    reset();
+    const result = await postWebhook(url, SECRET, makeDelivery(1));
+    assert.deepStrictEqual(result, { responseStatus: 200, error: null });
+    
+    const [{ headers, body }] = requests;
+    assert.strictEqual(headers['x-webhook-event'], 'message.received');
+    assert.strictEqual(headers['x-webhook-delivery'], '1');
+    assert.strictEqual(headers['x-webhook-signature'], signWebhookBody(SECRET, headers['x-webhook-timestamp'], body));
+    assert.notStrictEqual(headers['x-webhook-signature'], signWebhookBody('other-secret', headers['x-webhook-timestamp'], body));
+    assert.deepStrictEqual(JSON.parse(body), { id: 1, event: 'message.received', createdAt: '2026-01-01T00:00:00.000Z', data: { text: 'hi' } });
+});
+
+test('retries with backoff after an error answer, then delivers', async () => {
+    reset([500, 503]);
+    const delivery = makeDelivery(2);
+    const outcomes = [];
+    for (let attempts = 1; attempts <= WEBHOOK_MAX_ATTEMPTS; attempts++) {
+        const { error } = await postWebhook(url, SECRET, delivery);
+        const outcome = getWebhookOutcome(attempts, error);
+        outcomes.push(outcome);
+        if (outcome.status !== 'pending') break;
+    }
+    
+    assert.deepStrictEqual(outcomes, [
+        { status: 'pending', delaySeconds: 10 },
+        { status: 'pending', delaySeconds: 20 },
+        { status: 'delivered' }
+    ]);
+    assert.strictEqual(requests.length, 3);
+    assert.ok(requests.every(request => request.headers['x-webhook-delivery'] === '2'));
+});
+
+test('gives up after the last attempt', async () => {
+    reset(Array(WEBHOOK_MAX_ATTEMPTS).fill(500));
+    const delivery = makeDelivery(3);
+    let outcome;
+    let attempts = 0;
+    do {
+        attempts++;
+        const result = await postWebhook(url, SECRET, delivery);
+        assert.deepStrictEqual(result, { responseStatus: 500, error: 'HTTP 500' });
+        outcome = getWebhookOutcome(attempts, result.error);
+    } while (outcome.status === 'pending');
+    
+    assert.deepStrictEqual(outcome, { status: 'failed' });
+    assert.strictEqual(attempts, WEBHOOK_MAX_ATTEMPTS);
+    assert.strictEqual(requests.length, WEBHOOK_MAX_ATTEMPTS);
+});
+
+test('doubles the retry delay after each failed attempt', () => {
+    const delays = [];
+    for (let attempts = 1; attempts < WEBHOOK_MAX_ATTEMPTS; attempts++) {
+        delays.push(getWebhookOutcome(attempts, 'HTTP 500').delaySeconds);
+    }
+    assert.deepStrictEqual(delays, [10, 20, 40, 80, 160]);
+});
+
+test('reports a receiver that does not answer in time', async () => {
+    reset(['hang']);
+    const result = await postWebhook(url, SECRET, makeDelivery(4), 200);
+    assert.deepStrictEqual(result, { responseStatus: null, error: 'No answer within 0.2s' });
+});
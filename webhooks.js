@@ -0,0 +1,56 @@
+// Webhook signing, delivery and retry policy, kept out of index.js so they can be tested
+// without starting the bots. index.js stores deliveries and decides when to call postWebhook.
+const crypto = require('crypto');
+
+const WEBHOOK_MAX_ATTEMPTS = 6;
+const WEBHOOK_RETRY_BASE_SECONDS = 10;
+const WEBHOOK_RETRY_MAX_SECONDS = 3600;
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+// X-Webhook-Signature: "sha256=" + the hex HMAC-SHA256 of "<X-Webhook-Timestamp>.<body>"
+function signWebhookBody(secret, timestamp, body) {
+    return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// POST one delivery ({ id, event, payload }). Resolves { responseStatus, error }; error is null on a 2xx answer.
+async function postWebhook(url, secret, delivery, timeoutMs = WEBHOOK_TIMEOUT_MS) {
+    const body = JSON.stringify({ id: delivery.id, ...JSON.parse(delivery.payload) });
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    try {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'telegram-auto-reply-bot',
+                'X-Webhook-Event': delivery.event,
+                'X-Webhook-Delivery': String(delivery.id),
+                'X-Webhook-Timestamp': timestamp,
+                'X-Webhook-Signature': signWebhookBody(secret, timestamp, body)
+            },
+            body,
+            signal: AbortSignal.timeout(timeoutMs)
+        });
+        return { responseStatus: response.status, error: response.ok ? null : `HTTP ${response.status}` };
+    } catch (err) {
+        const error = err.name === 'TimeoutError' ? `No answer within ${timeoutMs / 1000}s` : (err.cause && err.cause.message) || err.message;
+        return { responseStatus: null, error };
+    }
+}
+
+// What happens to a delivery after its attempts-th attempt:
+// { status: 'delivered' }, { status: 'failed' } or { status: 'pending', delaySeconds } for a retry
+function getWebhookOutcome(attempts, error) {
+    if (!error) return { status: 'delivered' };
+    if (attempts >= WEBHOOK_MAX_ATTEMPTS) return { status: 'failed' };
+    return {
+        status: 'pending',
+        delaySeconds: Math.min(WEBHOOK_RETRY_BASE_SECONDS * 2 ** (attempts - 1), WEBHOOK_RETRY_MAX_SECONDS)
+    };
+}
+
+module.exports = {
+    WEBHOOK_MAX_ATTEMPTS,
+    signWebhookBody,
+    postWebhook,
+    getWebhookOutcome
+};